@@ -0,0 +1,154 @@
+const { Kind, GraphQLError, getNamedType, getNullableType, isListType } = require('graphql');
+
+// Expected length of list fields that take no limit argument
+const LIST_SIZES = {
+  'Match.rounds': 25,
+  'Match.participants': 10,
+  'Match.teams': 2,
+  'Round.kills': 10,
+  'Statistics.agents': 20,
+  'Statistics.maps': 12
+};
+const DEFAULT_LIST_SIZE = 10;
+const SIZE_ARGUMENTS = ['limit', 'size'];
+
+// Fields that may call the Riot API (untracked players, unstored matches, live leaderboards).
+// They cost far more than a database lookup, and an operation may only hold so many of them.
+const UPSTREAM_FIELD_COSTS = {
+  'Query.player': 100,
+  'Query.match': 100,
+  'Query.leaderboard': 100
+};
+
+function argumentValue(node, variables) {
+  if (node.kind === Kind.VARIABLE) return variables[node.name.value];
+  if (node.kind === Kind.INT) return parseInt(node.value, 10);
+  return undefined;
+}
+
+// Variables as execution will see them: values sent with the request, else the defaults
+// declared on the operation
+function effectiveVariables(operation, variables) {
+  const values = {};
+  (operation.variableDefinitions || []).forEach(definition => {
+    if (definition.defaultValue) {
+      values[definition.variable.name.value] = argumentValue(definition.defaultValue, {});
+    }
+  });
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) values[name] = value;
+  });
+  return values;
+}
+
+// Length of a list argument (players(puuids: [...]) returns one item per puuid)
+function listArgumentLength(node, variables) {
+  if (node.kind === Kind.LIST) return node.values.length;
+  if (node.kind === Kind.VARIABLE && Array.isArray(variables[node.name.value])) {
+    return variables[node.name.value].length;
+  }
+  return undefined;
+}
+
+// How many items a list field will return: its limit/size argument, that argument's default,
+// the length of a list argument, or a per-field estimate
+function listSize(parentType, fieldDef, node, variables) {
+  for (const name of SIZE_ARGUMENTS) {
+    const arg = node.arguments.find(argument => argument.name.value === name);
+    const value = arg ? argumentValue(arg.value, variables) : fieldDef.args.find(def => def.name === name)?.defaultValue;
+    if (typeof value === 'number') return Math.max(value, 1);
+  }
+  for (const arg of node.arguments) {
+    const length = listArgumentLength(arg.value, variables);
+    if (length !== undefined) return Math.max(length, 1);
+  }
+  return LIST_SIZES[`${parentType.name}.${fieldDef.name}`] || DEFAULT_LIST_SIZE;
+}
+
+// Depth, estimated cost and upstream field count of a selection set. Every field costs 1 (or
+// its UPSTREAM_FIELD_COSTS entry), and whatever is selected under a list field costs once per
+// expected item. Introspection fields are free.
+function measure(schema, parentType, selectionSet, fragments, variables, depth = 1) {
+  let cost = 0;
+  let upstream = 0;
+  let maxDepth = depth - 1;
+
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.FRAGMENT_SPREAD || selection.kind === Kind.INLINE_FRAGMENT) {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+      if (!fragment) return;
+      const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+      const inner = measure(schema, type, fragment.selectionSet, fragments, variables, depth);
+      cost += inner.cost;
+      upstream += inner.upstream;
+      maxDepth = Math.max(maxDepth, inner.depth);
+      return;
+    }
+
+    const name = selection.name.value;
+    if (name.startsWith('__')) return;
+    const fieldDef = parentType.getFields()[name];
+    if (!fieldDef) return;
+
+    const upstreamCost = UPSTREAM_FIELD_COSTS[`${parentType.name}.${name}`];
+    let fieldCost = upstreamCost || 1;
+    if (upstreamCost) upstream++;
+    maxDepth = Math.max(maxDepth, depth);
+    if (selection.selectionSet) {
+      const inner = measure(schema, getNamedType(fieldDef.type), selection.selectionSet, fragments, variables, depth + 1);
+      const multiplier = isListType(getNullableType(fieldDef.type))
+        ? listSize(parentType, fieldDef, selection, variables)
+        : 1;
+      fieldCost += multiplier * inner.cost;
+      upstream += multiplier * inner.upstream;
+      maxDepth = Math.max(maxDepth, inner.depth);
+    }
+    cost += fieldCost;
+  });
+
+  return { cost, upstream, depth: maxDepth };
+}
+
+// Reject an operation that nests deeper than maxDepth, is estimated to cost more than maxCost or
+// holds more than maxUpstream Riot-backed fields; returns the errors to send back (empty when
+// it's within limits)
+function checkLimits(schema, document, { operationName, variables = {}, maxDepth, maxCost, maxUpstream = 5 }) {
+  const fragments = {};
+  const operations = [];
+  document.definitions.forEach(definition => {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+    if (definition.kind === Kind.OPERATION_DEFINITION) operations.push(definition);
+  });
+
+  const operation = operationName
+    ? operations.find(definition => definition.name?.value === operationName)
+    : operations[0];
+  if (!operation) return [];
+
+  const root = schema.getRootType(operation.operation);
+  const values = effectiveVariables(operation, variables || {});
+  const { cost, upstream, depth } = measure(schema, root, operation.selectionSet, fragments, values);
+  const errors = [];
+  if (depth > maxDepth) {
+    errors.push(new GraphQLError(`Query is nested ${depth} levels deep; the limit is ${maxDepth}`, {
+      extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth }
+    }));
+  }
+  if (cost > maxCost) {
+    errors.push(new GraphQLError(`Query cost is estimated at ${cost}; the limit is ${maxCost}`, {
+      extensions: { code: 'QUERY_TOO_COSTLY', cost, maxCost }
+    }));
+  }
+  if (upstream > maxUpstream) {
+    errors.push(new GraphQLError(
+      `Query asks for ${upstream} players, matches or leaderboards that may come from Riot; the limit is ${maxUpstream}`,
+      { extensions: { code: 'TOO_MANY_UPSTREAM_FIELDS', upstream, maxUpstream } }
+    ));
+  }
+  return errors;
+}
+
+module.exports = {
+  checkLimits,
+  measure
+};
@@ -0,0 +1,40 @@
+const DataLoader = require('dataloader');
+const { User, MatchDetail, Statistics } = require('../models');
+
+// Results in key order, null where nothing was found
+function byKey(keys, docs, field) {
+  const found = new Map(docs.map(doc => [doc[field], doc]));
+  return keys.map(key => found.get(key) || null);
+}
+
+// Per-request loaders: every puuid or match ID asked for while resolving one query is
+// fetched in a single grouped lookup, and each one only once
+function createLoaders({ contentCatalog, statisticsService }) {
+  return {
+    users: new DataLoader(async puuids => {
+      const users = await User.find({ puuid: { $in: puuids } })
+        .select('puuid gameName tagLine region platformRegion lastUpdated totalMatches')
+        .lean();
+      return byKey(puuids, users, 'puuid');
+    }),
+
+    matchDetails: new DataLoader(async matchIds => {
+      const details = await MatchDetail.find({ matchId: { $in: matchIds } }).lean();
+      return byKey(matchIds, details, 'matchId').map(detail => (detail ? detail.data : null));
+    }),
+
+    // Stored totals; players without a Statistics row yet get them built from their matches
+    statistics: new DataLoader(async puuids => {
+      const stored = byKey(puuids, await Statistics.find({ puuid: { $in: puuids } }).lean(), 'puuid');
+      return await Promise.all(stored.map((stats, index) => (stats
+        ? statisticsService.withDerived(stats)
+        : statisticsService.getStatistics(puuids[index]))));
+    }),
+
+    catalogs: new DataLoader(async regions => await Promise.all(regions.map(region => contentCatalog.tryLoad(region))))
+  };
+}
+
+module.exports = {
+  createLoaders
+};
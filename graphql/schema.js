@@ -0,0 +1,394 @@
+const { buildSchema, Kind, GraphQLError } = require('graphql');
+const { LeaderboardEntry, RankHistory, User } = require('../models');
+const { ValidationError } = require('../services/errors');
+const { assertShard, assertCluster } = require('../services/regionService');
+
+const typeDefs = `
+  "ISO 8601 date and time"
+  scalar DateTime
+
+  type Query {
+    "A player by puuid or Riot ID; untracked players come from the Riot account API"
+    player(puuid: ID, gameName: String, tagLine: String, region: String): Player
+    "Tracked players, in the order asked for"
+    players(puuids: [ID!]!): [Player]!
+    "A match from the database, downloaded from the platformRegion shard (default eu) when it isn't stored yet"
+    match(matchId: ID!, platformRegion: String): Match
+    "A region's leaderboard for the current act, or a past act from stored snapshots"
+    leaderboard(region: String!, actId: String, size: Int = 50, startIndex: Int = 0): Leaderboard
+  }
+
+  type Player {
+    puuid: ID!
+    gameName: String
+    tagLine: String
+    "Whether the player is stored and refreshed in the background"
+    tracked: Boolean!
+    region: String
+    platformRegion: String
+    lastUpdated: DateTime
+    totalMatches: Int
+    statistics: Statistics
+    "Stored matches, newest first"
+    matches(limit: Int = 10, before: DateTime, queue: String): [MatchParticipant!]!
+    rankHistory(limit: Int = 20): [RankHistoryEntry!]!
+    leaderboardEntries(limit: Int = 10): [LeaderboardEntry!]!
+  }
+
+  "One player's line in a match"
+  type MatchParticipant {
+    matchId: ID!
+    puuid: ID!
+    player: Player!
+    match: Match
+    gameName: String
+    tagLine: String
+    teamId: String
+    partyId: String
+    agent: String
+    agentId: String
+    competitiveTier: Int
+    kills: Int!
+    deaths: Int!
+    assists: Int!
+    score: Int!
+    damage: Int
+    headshots: Int
+    bodyshots: Int
+    legshots: Int
+    won: Boolean!
+    draw: Boolean!
+    roundsWon: Int
+    roundsLost: Int
+  }
+
+  type Match {
+    matchId: ID!
+    map: String
+    mapId: String
+    mode: String
+    queueId: String
+    seasonId: String
+    isRanked: Boolean
+    gameStartTime: DateTime
+    gameLengthMillis: Float
+    teams: [Team!]!
+    participants: [MatchParticipant!]!
+    rounds: [Round!]!
+  }
+
+  type Team {
+    teamId: String!
+    won: Boolean!
+    roundsWon: Int!
+    roundsLost: Int!
+  }
+
+  type Round {
+    roundNum: Int!
+    winningTeam: String
+    resultCode: String
+    plantSite: String
+    planter: ID
+    defuser: ID
+    plantRoundTime: Int
+    defuseRoundTime: Int
+    kills: [RoundKill!]!
+  }
+
+  type RoundKill {
+    killer: ID
+    victim: ID
+    assistants: [ID!]!
+    roundTime: Int
+    weaponId: String
+    weapon: String
+  }
+
+  type Statistics {
+    totalMatches: Int!
+    wins: Int!
+    losses: Int!
+    draws: Int!
+    totalKills: Int!
+    totalDeaths: Int!
+    totalAssists: Int!
+    kd: Float
+    winRate: Float
+    headshotPercentage: Float
+    averageKills: Float
+    averageDeaths: Float
+    averageAssists: Float
+    averageScore: Float
+    acs: Float
+    adr: Float
+    kast: Float
+    firstBloods: Int
+    firstDeaths: Int
+    clutchesWon: Int
+    clutchAttempts: Int
+    aces: Int
+    attackWinRate: Float
+    defenseWinRate: Float
+    agents: [AgentStats!]!
+    maps: [MapStats!]!
+  }
+
+  type AgentStats {
+    agent: String!
+    role: String
+    matches: Int!
+    wins: Int!
+    kills: Int!
+    deaths: Int!
+    assists: Int!
+    kd: Float
+    winRate: Float
+  }
+
+  type MapStats {
+    map: String!
+    matches: Int!
+    wins: Int!
+    kills: Int!
+    deaths: Int!
+    roundsWon: Int
+    roundsLost: Int
+    kd: Float
+    winRate: Float
+  }
+
+  type RankHistoryEntry {
+    matchId: ID
+    currentTier: Int
+    currentTierName: String
+    rankedRating: Int
+    leaderboardRank: Int
+    competitiveSeason: String
+    recordedAt: DateTime
+  }
+
+  type Leaderboard {
+    region: String!
+    actId: String!
+    actName: String
+    episodeName: String
+    "live, or snapshot when served from a stored crawl"
+    source: String!
+    totalPlayers: Int
+    entries: [LeaderboardEntry!]!
+  }
+
+  type LeaderboardEntry {
+    puuid: ID
+    gameName: String
+    tagLine: String
+    anonymous: Boolean
+    leaderboardRank: Int!
+    rankedRating: Int
+    numberOfWins: Int
+    competitiveTier: Int
+    "Set for entries from stored snapshots"
+    region: String
+    actId: String
+    takenAt: DateTime
+    "Places gained since the previous snapshot"
+    rankChange: Int
+    "The tracked player behind the entry"
+    player: Player
+  }
+`;
+
+const MAX_LIMIT = 100;
+
+function clamp(value, max = MAX_LIMIT) {
+  return Math.min(Math.max(value, 1), max);
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new GraphQLError('DateTime must be an ISO 8601 string or epoch milliseconds');
+  return date;
+}
+
+const DateTime = {
+  serialize: value => new Date(value).toISOString(),
+  parseValue: value => toDate(/^\d+$/.test(String(value)) ? Number(value) : value),
+  parseLiteral: ast => {
+    if (ast.kind === Kind.STRING) return toDate(ast.value);
+    if (ast.kind === Kind.INT) return toDate(Number(ast.value));
+    throw new GraphQLError('DateTime must be an ISO 8601 string or epoch milliseconds');
+  }
+};
+
+// Player objects are stored Users, or a bare account for players we don't track
+function playerFrom(user, fallback) {
+  if (user) return { ...user, tracked: true };
+  return fallback ? { puuid: fallback.puuid, gameName: fallback.gameName, tagLine: fallback.tagLine, tracked: false } : null;
+}
+
+// Stored Match rows and players in a normalized match both become MatchParticipants
+function participantFromRow(row) {
+  return { ...row, teamId: row.teamColor };
+}
+
+function participantFromMatch(match, player) {
+  const team = match.teams.find(entry => entry.teamId === player.teamId);
+  const anyTeamWon = match.teams.some(entry => entry.won);
+  return {
+    matchId: match.matchId,
+    puuid: player.puuid,
+    gameName: player.gameName,
+    tagLine: player.tagLine,
+    teamId: player.teamId,
+    partyId: player.partyId,
+    agentName: player.agentName,
+    agentId: player.agentId,
+    competitiveTier: player.competitiveTier,
+    ...player.stats,
+    ...player.damage,
+    won: team?.won || false,
+    draw: !anyTeamWon,
+    roundsWon: team?.roundsWon || 0,
+    roundsLost: team?.roundsLost || 0,
+    match
+  };
+}
+
+// Keyed stats (Statistics agentStats / mapStats) as a list, busiest first
+function statList(group, key, lookup) {
+  return Object.entries(group || {})
+    .map(([name, stats]) => {
+      const entry = lookup(name);
+      return { ...stats, [key]: entry?.name || name, role: entry?.role || null };
+    })
+    .sort((a, b) => b.matches - a.matches);
+}
+
+function createResolvers({ riotAPI, contentCatalog, matchIngestion, leaderboardService }) {
+  const catalog = context => context.loaders.catalogs.load('eu');
+
+  return {
+    Query: {
+      player: async (root, { puuid, gameName, tagLine, region }, { loaders }) => {
+        const cluster = assertCluster(region) || 'europe';
+        if (puuid) {
+          const user = await loaders.users.load(puuid);
+          return playerFrom(user, user ? null : await riotAPI.getAccountByPuuid(puuid, cluster));
+        }
+        if (!gameName || !tagLine) {
+          throw new ValidationError('player needs either puuid or gameName and tagLine');
+        }
+
+        const user = await User.findOne({ riotIdKey: `${User.searchKey(gameName)}#${User.searchKey(tagLine)}` })
+          .select('puuid gameName tagLine region platformRegion lastUpdated totalMatches')
+          .lean();
+        return playerFrom(user, user ? null : await riotAPI.getAccountByRiotId(gameName, tagLine, cluster));
+      },
+
+      players: async (root, { puuids }, { loaders }) => {
+        if (puuids.length > MAX_LIMIT) throw new ValidationError(`players takes at most ${MAX_LIMIT} puuids`);
+        return (await loaders.users.loadMany(puuids)).map(user => playerFrom(user));
+      },
+
+      match: async (root, { matchId, platformRegion }, { loaders }) => {
+        const stored = await loaders.matchDetails.load(matchId);
+        return stored || await matchIngestion.getMatch(matchId, assertShard(platformRegion) || 'eu');
+      },
+
+      leaderboard: async (root, { region, actId, size, startIndex }) => {
+        const shard = assertShard(region, 'region');
+        const board = await leaderboardService.getLeaderboard(shard, {
+          actId,
+          size: clamp(size, 200),
+          startIndex: Math.max(startIndex, 0)
+        });
+        return { ...board, entries: board.players };
+      }
+    },
+
+    Player: {
+      statistics: (player, args, { loaders }) => loaders.statistics.load(player.puuid),
+
+      matches: async (player, { limit, before, queue }) => {
+        const { matches } = await matchIngestion.findPlayerMatches(player.puuid, {
+          before,
+          queue: queue ? queue.toLowerCase() : null,
+          limit: clamp(limit, 50)
+        });
+        return matches.map(participantFromRow);
+      },
+
+      rankHistory: async (player, { limit }) => await RankHistory.find({ puuid: player.puuid })
+        .sort({ recordedAt: -1 })
+        .limit(clamp(limit))
+        .lean(),
+
+      leaderboardEntries: async (player, { limit }) => await LeaderboardEntry.find({ puuid: player.puuid })
+        .sort({ takenAt: -1 })
+        .limit(clamp(limit))
+        .lean()
+    },
+
+    MatchParticipant: {
+      player: async (participant, args, { loaders }) => playerFrom(await loaders.users.load(participant.puuid), participant),
+      match: (participant, args, { loaders }) => participant.match || loaders.matchDetails.load(participant.matchId),
+      agent: async (participant, args, context) => contentCatalog.agent(await catalog(context), participant.agentId)?.name ||
+        participant.agentName || participant.agent || participant.agentId
+    },
+
+    Match: {
+      map: async (match, args, context) => contentCatalog.map(await catalog(context), match.mapId || match.mapName)?.name ||
+        match.mapName || match.mapId,
+      participants: match => match.players.map(player => participantFromMatch(match, player)),
+      rounds: match => match.rounds || []
+    },
+
+    Round: {
+      // Every kill in the round, whoever made it
+      kills: round => (round.playerStats || []).flatMap(stats => stats.kills)
+    },
+
+    RoundKill: {
+      weapon: async (kill, args, context) => (kill.weaponId
+        ? contentCatalog.weapon(await catalog(context), kill.weaponId)?.name || null
+        : null)
+    },
+
+    Statistics: {
+      agents: async (stats, args, context) => {
+        const loaded = await catalog(context);
+        return statList(stats.agentStats, 'agent', name => contentCatalog.agent(loaded, name));
+      },
+      maps: async (stats, args, context) => {
+        const loaded = await catalog(context);
+        return statList(stats.mapStats, 'map', name => contentCatalog.map(loaded, name));
+      }
+    },
+
+    LeaderboardEntry: {
+      rankChange: entry => entry.movement?.rankChange ?? null,
+      player: async (entry, args, { loaders }) => (entry.puuid ? playerFrom(await loaders.users.load(entry.puuid)) : null)
+    }
+  };
+}
+
+// SDL plus resolvers attached to each field
+function createSchema(services) {
+  const schema = buildSchema(typeDefs);
+  Object.assign(schema.getType('DateTime'), DateTime);
+
+  const resolvers = createResolvers(services);
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const typeFields = schema.getType(typeName).getFields();
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      typeFields[fieldName].resolve = resolve;
+    });
+  });
+  return schema;
+}
+
+module.exports = {
+  createSchema,
+  typeDefs
+};
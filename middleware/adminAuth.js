@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { requireRole } = require('./auth');
+
+const requireAdminAccount = requireRole('admin');
+
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+// Admins sign in like everyone else (role "admin"); scripts and deploy hooks can
+// send the ADMIN_API_TOKEN in the X-Admin-Token header instead
+function requireAdmin(req, res, next) {
+  const provided = req.get('X-Admin-Token');
+  if (!provided) {
+    return requireAdminAccount(req, res, next);
+  }
+
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API token is not configured'
+    });
+  }
+
+  // Compared as SHA-256 digests: timingSafeEqual needs equal byte lengths, which a string length
+  // check doesn't guarantee for multibyte input, and the digests don't leak the token's length
+  const valid = crypto.timingSafeEqual(digest(provided), digest(expected));
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin
+};
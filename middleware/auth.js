@@ -0,0 +1,62 @@
+const { authService } = require('../services');
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Attach req.auth = { accountId, role } when a valid access token is sent
+function optionalAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (token) {
+    try {
+      const payload = authService.verifyAccessToken(token);
+      req.auth = { accountId: payload.sub, role: payload.role };
+    } catch (error) {
+      // An invalid token on an optional route is treated as anonymous
+    }
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = authService.verifyAccessToken(token);
+    req.auth = { accountId: payload.sub, role: payload.role };
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (req.auth.role !== role) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions'
+        });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  optionalAuth,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,43 @@
+const { toAppError } = require('../services/errors');
+
+// Express 4 doesn't forward rejected promises, so async routes are wrapped to pass errors to next()
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// Every error ends up here as { success: false, error, code[, details] }
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.details ? { details: error.details } : {})
+  });
+}
+
+function notFound(req, res) {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    code: 'ENDPOINT_NOT_FOUND'
+  });
+}
+
+module.exports = {
+  asyncRoute,
+  errorHandler,
+  notFound
+};
@@ -0,0 +1,111 @@
+const { ValidationError } = require('../services/errors');
+
+// Schema-based validation for route params, query strings and bodies.
+// A schema maps each field to a rule:
+//   { type: 'string' | 'int' | 'number' | 'boolean' | 'date' | 'enum',
+//     required, default, min, max (value for numbers, length for strings), pattern, values (enum) }
+// Validated, coerced values end up on req.valid.params / req.valid.query / req.valid.body;
+// fields the schema doesn't mention are dropped.
+
+function coerce(value, rule) {
+  switch (rule.type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(String(value).trim())) return { error: 'must be an integer' };
+      value = parseInt(value, 10);
+      break;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (String(value).trim() === '' || isNaN(number)) return { error: 'must be a number' };
+      value = number;
+      break;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') break;
+      const text = String(value).toLowerCase();
+      if (!['true', 'false', '1', '0'].includes(text)) return { error: 'must be true or false' };
+      value = text === 'true' || text === '1';
+      break;
+    }
+    case 'date': {
+      // Dates may be ISO strings or epoch milliseconds
+      const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+      if (isNaN(date.getTime())) return { error: 'must be a date (ISO 8601 or epoch milliseconds)' };
+      value = date;
+      break;
+    }
+    case 'enum': {
+      const text = String(value).toLowerCase();
+      const allowed = rule.values.map(option => String(option).toLowerCase());
+      if (!allowed.includes(text)) return { error: `must be one of: ${rule.values.join(', ')}` };
+      value = rule.values[allowed.indexOf(text)];
+      break;
+    }
+    default: {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      value = value.trim();
+      if (rule.min !== undefined && value.length < rule.min) return { error: `must be at least ${rule.min} characters` };
+      if (rule.max !== undefined && value.length > rule.max) return { error: `must be at most ${rule.max} characters` };
+      if (rule.pattern && !rule.pattern.test(value)) return { error: rule.patternMessage || 'has an invalid format' };
+      return { value };
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+  }
+  return { value };
+}
+
+function check(source, schema, location, problems) {
+  const valid = {};
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const raw = source?.[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) {
+        problems.push({ location, field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        valid[field] = rule.default;
+      }
+      return;
+    }
+
+    if (Array.isArray(raw)) {
+      problems.push({ location, field, message: 'must be given once' });
+      return;
+    }
+
+    const { value, error } = coerce(raw, rule);
+    if (error) {
+      problems.push({ location, field, message: error });
+    } else {
+      valid[field] = value;
+    }
+  });
+  return valid;
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    const problems = [];
+    req.valid = {};
+    ['params', 'query', 'body'].forEach(location => {
+      if (schema[location]) {
+        req.valid[location] = check(req[location], schema[location], location, problems);
+      }
+    });
+
+    if (problems.length > 0) {
+      const summary = problems.map(problem => `${problem.field} ${problem.message}`).join('; ');
+      return next(new ValidationError(`Invalid request: ${summary}`, problems));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};
@@ -22,6 +22,18 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'eu'
   },
+  // Set once region/platformRegion come from Riot's active-shard lookup
+  shardResolvedAt: Date,
+  // Case-folded copies of the Riot ID for indexed prefix search (kept in sync by the hooks below)
+  gameNameKey: String,
+  tagLineKey: String,
+  riotIdKey: String,
+  // Popularity for search ranking
+  lookupCount: {
+    type: Number,
+    default: 0
+  },
+  lastLookedUpAt: Date,
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -34,19 +46,59 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ gameNameKey: 1 });
+userSchema.index({ tagLineKey: 1 });
+userSchema.index({ riotIdKey: 1 });
+
+userSchema.statics.searchKey = function (value) {
+  return String(value || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+function searchKeys(fields) {
+  const keys = {};
+  if (fields.gameName !== undefined) keys.gameNameKey = User.searchKey(fields.gameName);
+  if (fields.tagLine !== undefined) keys.tagLineKey = User.searchKey(fields.tagLine);
+  if (fields.gameName !== undefined && fields.tagLine !== undefined) {
+    keys.riotIdKey = `${keys.gameNameKey}#${keys.tagLineKey}`;
+  }
+  return keys;
+}
+
+userSchema.pre('save', function () {
+  Object.assign(this, searchKeys({ gameName: this.gameName, tagLine: this.tagLine }));
+});
+
+userSchema.pre(['findOneAndUpdate', 'updateOne'], function () {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...(update.$set || {}) };
+  const keys = searchKeys(fields);
+  if (Object.keys(keys).length > 0) {
+    this.setUpdate({ ...update, $set: { ...(update.$set || {}), ...keys } });
+  }
+});
+
+// One row per participant, so a single download serves all ten players
 const matchSchema = new mongoose.Schema({
   matchId: {
     type: String,
     required: true,
-    unique: true
+    index: true
   },
   puuid: {
     type: String,
     required: true,
     index: true
   },
+  gameName: String,
+  tagLine: String,
   map: String,
+  mapId: String,
   mode: String,
+  queueId: String,
+  seasonId: String,
+  isRanked: Boolean,
+  // Shard the match was downloaded from (eu, na, ap, ...)
+  region: String,
   gameStartTime: Date,
   gameLengthMillis: Number,
   
@@ -56,28 +108,101 @@ const matchSchema = new mongoose.Schema({
   assists: Number,
   score: Number,
   agent: String,
+  agentId: String,
+  competitiveTier: Number,
+  partyId: String,
   
   // Team result
   won: Boolean,
+  draw: Boolean,
   roundsWon: Number,
   roundsLost: Number,
+  roundsPlayed: Number,
   teamColor: String,
   
   // Damage breakdown
+  damage: Number,
   headshots: Number,
   bodyshots: Number,
   legshots: Number,
-  
-  // Full match data
-  fullMatchData: {
-    type: mongoose.Schema.Types.Mixed
+
+  // Round analytics
+  analyzedRounds: Number,
+  firstBloods: Number,
+  firstDeaths: Number,
+  kastRounds: Number,
+  clutchAttempts: Number,
+  clutchesWon: Number,
+  plants: Number,
+  defuses: Number,
+  multiKills: Number,
+  aces: Number,
+  loadoutValue: Number,
+  creditsSpent: Number,
+  attackRoundsPlayed: Number,
+  attackRoundsWon: Number,
+  defenseRoundsPlayed: Number,
+  defenseRoundsWon: Number,
+
+  // Per-weapon totals from round results (see roundAnalytics); left unset on rows stored
+  // before they existed, so those can be found and backfilled
+  weapons: {
+    type: [{
+      _id: false,
+      weaponId: String,
+      kills: Number,
+      rounds: Number,
+      damage: Number,
+      headshots: Number,
+      bodyshots: Number,
+      legshots: Number,
+      loadoutValue: Number
+    }],
+    default: undefined
   }
 }, {
   timestamps: true
 });
 
 // Index for efficient queries
+matchSchema.index({ matchId: 1, puuid: 1 }, { unique: true });
 matchSchema.index({ puuid: 1, gameStartTime: -1 });
+// Cross-player meta statistics filter by act and queue
+matchSchema.index({ seasonId: 1, queueId: 1 });
+
+// Matches used to be stored one document per match with a unique index on matchId, which
+// rejects every participant row after the first. The plain matchId index above has the same
+// name, so autoIndex can't replace it: drop the unique one and build the schema's indexes again
+matchSchema.statics.dropLegacyIndexes = async function () {
+  const indexes = await this.collection.indexes().catch(error => {
+    // The collection doesn't exist yet on a fresh database
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  if (!indexes.some(index => index.name === 'matchId_1' && index.unique)) return false;
+
+  await this.collection.dropIndex('matchId_1');
+  await this.createIndexes();
+  return true;
+};
+
+// Full normalized match, stored once per match
+const matchDetailSchema = new mongoose.Schema({
+  matchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Shard the match was downloaded from
+  region: String,
+  gameStartTime: Date,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
 
 const statisticsSchema = new mongoose.Schema({
   puuid: {
@@ -91,11 +216,45 @@ const statisticsSchema = new mongoose.Schema({
   totalMatches: { type: Number, default: 0 },
   wins: { type: Number, default: 0 },
   losses: { type: Number, default: 0 },
+  draws: { type: Number, default: 0 },
+  totalScore: { type: Number, default: 0 },
+  totalRounds: { type: Number, default: 0 },
+  roundsWon: { type: Number, default: 0 },
+  roundsLost: { type: Number, default: 0 },
+  totalHeadshots: { type: Number, default: 0 },
+  totalBodyshots: { type: Number, default: 0 },
+  totalLegshots: { type: Number, default: 0 },
   
   // Calculated stats
   kd: { type: Number, default: 0 },
   winRate: { type: Number, default: 0 },
   headshotPercentage: { type: Number, default: 0 },
+  averageKills: { type: Number, default: 0 },
+  averageDeaths: { type: Number, default: 0 },
+  averageAssists: { type: Number, default: 0 },
+  averageScore: { type: Number, default: 0 },
+
+  // Round analytics
+  totalDamage: { type: Number, default: 0 },
+  analyzedRounds: { type: Number, default: 0 },
+  firstBloods: { type: Number, default: 0 },
+  firstDeaths: { type: Number, default: 0 },
+  kastRounds: { type: Number, default: 0 },
+  clutchAttempts: { type: Number, default: 0 },
+  clutchesWon: { type: Number, default: 0 },
+  plants: { type: Number, default: 0 },
+  defuses: { type: Number, default: 0 },
+  multiKills: { type: Number, default: 0 },
+  aces: { type: Number, default: 0 },
+  attackRoundsPlayed: { type: Number, default: 0 },
+  attackRoundsWon: { type: Number, default: 0 },
+  defenseRoundsPlayed: { type: Number, default: 0 },
+  defenseRoundsWon: { type: Number, default: 0 },
+  acs: { type: Number, default: 0 },
+  adr: { type: Number, default: 0 },
+  kast: { type: Number, default: 0 },
+  attackWinRate: { type: Number, default: 0 },
+  defenseWinRate: { type: Number, default: 0 },
   
   // Agent stats
   agentStats: {
@@ -140,6 +299,8 @@ const rankHistorySchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when the entry was derived from a competitive match
+  matchId: String,
   currentTier: Number,
   currentTierName: String,
   rankedRating: Number,
@@ -151,14 +312,267 @@ const rankHistorySchema = new mongoose.Schema({
   }
 });
 
+// One entry per puuid and competitive match
+rankHistorySchema.index(
+  { puuid: 1, matchId: 1 },
+  { unique: true, partialFilterExpression: { matchId: { $type: 'string' } } }
+);
+
+// A stored crawl of one region's leaderboard for an act
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    required: true
+  },
+  actId: {
+    type: String,
+    required: true
+  },
+  episodeId: String,
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  totalPlayers: Number,
+  entryCount: Number,
+  topTierRRThreshold: Number,
+  // Full crawls cover every page and back leaderboard search
+  full: { type: Boolean, default: false },
+  complete: { type: Boolean, default: true }
+});
+
+leaderboardSnapshotSchema.index({ region: 1, actId: 1, takenAt: -1 });
+
+// One row per player per snapshot; anonymous players have no puuid or name
+const leaderboardEntrySchema = new mongoose.Schema({
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  region: String,
+  actId: String,
+  takenAt: Date,
+  puuid: String,
+  gameName: String,
+  tagLine: String,
+  // Lowercased "gameName#tagLine" for prefix search
+  nameKey: String,
+  anonymous: Boolean,
+  leaderboardRank: Number,
+  rankedRating: Number,
+  numberOfWins: Number,
+  competitiveTier: Number
+});
+
+leaderboardEntrySchema.index({ snapshotId: 1, leaderboardRank: 1 });
+leaderboardEntrySchema.index({ snapshotId: 1, nameKey: 1 });
+leaderboardEntrySchema.index({ puuid: 1, takenAt: -1 });
+
+// Agent, map and weapon statistics across every stored match, for one combination of filters
+const metaSnapshotSchema = new mongoose.Schema({
+  // The filters below, serialized
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  actId: String,
+  region: String,
+  queue: String,
+  tier: String,
+  totalMatches: Number,
+  totalPlayers: Number,
+  agents: [mongoose.Schema.Types.Mixed],
+  maps: [mongoose.Schema.Types.Mixed],
+  weapons: [mongoose.Schema.Types.Mixed],
+  computedAt: Date,
+  // Snapshots nobody has asked for in a while stop being refreshed
+  lastRequestedAt: Date
+});
+
+// Site accounts (separate from the Riot players in User)
+const accountSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // The account owner's own Riot ID, linked to a User by puuid
+  riotPuuid: {
+    type: String,
+    index: true
+  },
+  // Set once the owner proved the Riot ID is theirs; only a verified link unlocks the dashboard
+  riotVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Riot Sign On link in progress; the state is stored hashed like refresh tokens
+  pendingRiotLink: {
+    stateHash: String,
+    expiresAt: Date
+  },
+  favourites: {
+    type: [String],
+    default: []
+  },
+  refreshTokens: [{
+    tokenHash: String,
+    expiresAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// A Riot ID can be verified by one account only
+accountSchema.index(
+  { riotPuuid: 1, riotVerified: 1 },
+  { unique: true, partialFilterExpression: { riotVerified: true } }
+);
+
+// Where an account wants a tracked player's new matches posted
+const webhookTargetSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  puuid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // discord: Discord-compatible embed payload; http: generic JSON signed with the secret
+  kind: {
+    type: String,
+    enum: ['discord', 'http'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  secret: String,
+  label: String,
+  enabled: { type: Boolean, default: true },
+  // Deliveries per minute; extra ones wait for the window to free up
+  rateLimitPerMinute: { type: Number, default: 10 },
+  deliveredCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  lastDeliveredAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// One notification to one target: queued, retried, then delivered or dead-lettered
+const webhookDeliverySchema = new mongoose.Schema({
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  accountId: mongoose.Schema.Types.ObjectId,
+  puuid: String,
+  event: String,
+  matchId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastStatus: Number,
+  lastError: String,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ targetId: 1, createdAt: -1 });
+// A match is announced to a target once
+webhookDeliverySchema.index(
+  { targetId: 1, event: 1, matchId: 1 },
+  { unique: true, partialFilterExpression: { matchId: { $type: 'string' } } }
+);
+
+// Shared API response cache (used when CACHE_BACKEND=mongo)
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  storedAt: Date,
+  freshUntil: Date,
+  expiresAt: Date
+});
+
+// MongoDB removes entries once expiresAt has passed
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Persisted background job state, so restarts resume where they left off
+const jobStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paused: { type: Boolean, default: false },
+  intervalMs: Number,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  nextRunAt: Date,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
 const User = mongoose.model('User', userSchema);
 const Match = mongoose.model('Match', matchSchema);
+const MatchDetail = mongoose.model('MatchDetail', matchDetailSchema);
 const Statistics = mongoose.model('Statistics', statisticsSchema);
 const RankHistory = mongoose.model('RankHistory', rankHistorySchema);
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+const JobState = mongoose.model('JobState', jobStateSchema);
+const Account = mongoose.model('Account', accountSchema);
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
+const MetaSnapshot = mongoose.model('MetaSnapshot', metaSnapshotSchema);
+const WebhookTarget = mongoose.model('WebhookTarget', webhookTargetSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
 
 module.exports = {
   User,
   Match,
+  MatchDetail,
   Statistics,
-  RankHistory
+  RankHistory,
+  CacheEntry,
+  JobState,
+  Account,
+  LeaderboardSnapshot,
+  LeaderboardEntry,
+  MetaSnapshot,
+  WebhookTarget,
+  WebhookDelivery
 };
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { cache, jobScheduler, riotAPI } = require('../services');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { SHARDS } = require('../services/regionService');
+const { NotFoundError, ValidationError } = require('../services/errors');
+const { WebhookDelivery } = require('../models');
+
+router.use(requireAdmin);
+
+const cacheKey = { key: { type: 'string', required: true, max: 500 } };
+const prefix = { type: 'string', max: 200, default: '' };
+const jobName = { name: { type: 'string', required: true, max: 50 } };
+
+// Cache backend stats
+router.get('/cache', validate({
+  query: { prefix, limit: { type: 'int', min: 1, max: 1000, default: 100 } }
+}), asyncRoute(async (req, res) => {
+  const { prefix, limit } = req.valid.query;
+
+  res.json({
+    success: true,
+    data: {
+      stats: await cache.stats(),
+      keys: await cache.keys({ prefix, limit })
+    }
+  });
+}));
+
+// Inspect a single cache entry
+router.get('/cache/:key', validate({ params: cacheKey }), asyncRoute(async (req, res) => {
+  const entry = await cache.get(req.valid.params.key);
+  if (!entry) throw new NotFoundError('Cache key not found', 'CACHE_KEY_NOT_FOUND');
+
+  res.json({
+    success: true,
+    data: entry
+  });
+}));
+
+// Purge a single cache entry
+router.delete('/cache/:key', validate({ params: cacheKey }), asyncRoute(async (req, res) => {
+  const deleted = await cache.delete(req.valid.params.key);
+
+  res.json({
+    success: true,
+    data: { deleted: deleted ? 1 : 0 }
+  });
+}));
+
+// Purge every cache entry under a prefix (everything when no prefix is given)
+router.delete('/cache', validate({ query: { prefix } }), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: { deleted: await cache.purge(req.valid.query.prefix) }
+  });
+}));
+
+// Background jobs and their persisted state
+router.get('/jobs', (req, res) => {
+  res.json({
+    success: true,
+    data: jobScheduler.list()
+  });
+});
+
+router.post('/jobs/:name/pause', validate({ params: jobName }), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await jobScheduler.pause(req.valid.params.name)
+  });
+}));
+
+router.post('/jobs/:name/resume', validate({ params: jobName }), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await jobScheduler.resume(req.valid.params.name)
+  });
+}));
+
+// Run a job now; refresh-players accepts { puuid } to refresh a single player,
+// leaderboard-crawl accepts { region, actId } to crawl a single region or a past act
+router.post('/jobs/:name/trigger', validate({
+  params: jobName,
+  body: {
+    puuid: { type: 'string', max: 100 },
+    region: { type: 'enum', values: SHARDS },
+    actId: { type: 'string', max: 100 }
+  }
+}), asyncRoute(async (req, res) => {
+  res.status(202).json({
+    success: true,
+    data: jobScheduler.trigger(req.valid.params.name, req.valid.body)
+  });
+}));
+
+// Riot API key pool (keys are shown masked)
+router.get('/keys', (req, res) => {
+  res.json({
+    success: true,
+    data: riotAPI.keys.describe({ withMaskedKey: true })
+  });
+});
+
+const keyFields = {
+  key: { type: 'string', required: true, max: 200 },
+  label: { type: 'string', max: 50 },
+  expiresAt: { type: 'date' }
+};
+
+// Add a key; { primary: true } puts it in front of the others
+router.post('/keys', validate({
+  body: { ...keyFields, primary: { type: 'boolean', default: false } }
+}), asyncRoute(async (req, res) => {
+  const { key, ...options } = req.valid.body;
+
+  res.status(201).json({
+    success: true,
+    data: riotAPI.keys.add(key, options)
+  });
+}));
+
+// Replace the whole pool: { keys: ["RGAPI-...", { key, label, expiresAt }] }
+router.put('/keys', asyncRoute(async (req, res) => {
+  const { keys } = req.body || {};
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new ValidationError('keys must be a non-empty array');
+  }
+
+  res.json({
+    success: true,
+    data: riotAPI.keys.replace(keys)
+  });
+}));
+
+// Let a key marked invalid be tried again
+router.post('/keys/:id/reset', asyncRoute(async (req, res) => {
+  const key = riotAPI.keys.reset(req.params.id);
+  if (!key) throw new NotFoundError('Unknown API key', 'KEY_NOT_FOUND');
+
+  res.json({
+    success: true,
+    data: key
+  });
+}));
+
+router.delete('/keys/:id', asyncRoute(async (req, res) => {
+  if (!riotAPI.keys.remove(req.params.id)) {
+    throw new NotFoundError('Unknown API key', 'KEY_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: riotAPI.keys.describe({ withMaskedKey: true })
+  });
+}));
+
+// Webhook deliveries that gave up, across all accounts
+router.get('/webhooks/dead-letters', validate({
+  query: { limit: { type: 'int', min: 1, max: 500, default: 100 } }
+}), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await WebhookDelivery.find({ status: 'dead' })
+      .sort({ updatedAt: -1 })
+      .limit(req.valid.query.limit)
+      .select('-payload')
+      .lean()
+  });
+}));
+
+module.exports = router;
@@ -1,252 +1,552 @@
 const express = require('express');
 const router = express.Router();
-const RiotAPIService = require('../services/riotAPI');
-const { User, Match, Statistics, RankHistory } = require('../models');
-
-const riotAPI = new RiotAPIService(process.env.RIOT_API_KEY);
+const {
+  cache,
+  riotAPI,
+  contentCatalog,
+  regionService,
+  searchService,
+  matchListService,
+  matchIngestion,
+  rankService,
+  statisticsService,
+  playerRefresh,
+  leaderboardService,
+  comparisonService
+} = require('../services');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { analyzeMatch } = require('../services/roundAnalytics');
+const { CLUSTERS, SHARDS } = require('../services/regionService');
+const { QUEUES } = require('../services/matchNormalizer');
+const { NotFoundError, ValidationError } = require('../services/errors');
+const { User, RankHistory } = require('../models');
+
+// Shared validation rules
+const puuid = { type: 'string', required: true, max: 100 };
+const cluster = { type: 'enum', values: CLUSTERS };
+const shard = { type: 'enum', values: SHARDS };
+const locale = { type: 'string', pattern: /^[a-z]{2}-[A-Z]{2}$/, patternMessage: 'must look like en-US' };
+const id = { type: 'string', max: 100 };
+const actQuery = { actId: id, episode: id, act: id };
+const queue = { type: 'enum', values: QUEUES };
 
 // Get player profile by Riot ID
-router.get('/player/:gameName/:tagLine', async (req, res) => {
-  try {
-    const { gameName, tagLine } = req.params;
-    const { region = 'europe', platformRegion = 'eu' } = req.query;
+router.get('/player/:gameName/:tagLine', validate({
+  params: {
+    gameName: { type: 'string', required: true, min: 3, max: 16 },
+    tagLine: { type: 'string', required: true, min: 3, max: 5 }
+  },
+  query: { region: cluster, platformRegion: shard, locale }
+}), asyncRoute(async (req, res) => {
+  const { gameName, tagLine } = req.valid.params;
+  const query = req.valid.query;
+
+  console.log(`Fetching profile for ${gameName}#${tagLine}`);
 
-    console.log(`Fetching profile for ${gameName}#${tagLine}`);
+  // Any cluster can look up an account; match data needs the player's own shard
+  const account = await riotAPI.getAccountByRiotId(gameName, tagLine, query.region || 'europe');
+  const { region, platformRegion, resolved } = await regionService.resolve(account.puuid, query);
 
-    const profile = await riotAPI.getPlayerProfile(gameName, tagLine, region, platformRegion);
+  const profile = await riotAPI.getPlayerProfile(gameName, tagLine, region, platformRegion, matchListService);
 
-    // Save/update user in database
-    await User.findOneAndUpdate(
-      { puuid: profile.account.puuid },
-      {
+  // Rank comes from the competitive tier recorded in stored matches
+  try {
+    await matchIngestion.syncPlayer(profile.account.puuid, platformRegion);
+    await rankService.recordFromMatches(profile.account.puuid, platformRegion);
+    profile.rank = await rankService.getRankSummary(profile.account.puuid, platformRegion);
+  } catch (error) {
+    console.error('Error building rank summary:', error.message);
+  }
+
+  const catalog = await contentCatalog.tryLoad(platformRegion, query.locale);
+  profile.statistics = contentCatalog.enrichStats(profile.statistics, catalog);
+
+  // Save/update user in database; query overrides don't replace a resolved shard
+  const regions = { region, platformRegion };
+  await User.findOneAndUpdate(
+    { puuid: profile.account.puuid },
+    {
+      $set: {
         puuid: profile.account.puuid,
         gameName: profile.account.gameName,
         tagLine: profile.account.tagLine,
-        region,
-        platformRegion,
+        ...(resolved ? { ...regions, shardResolvedAt: new Date() } : {}),
         lastUpdated: new Date(),
+        lastLookedUpAt: new Date(),
         totalMatches: profile.statistics.totalMatches
       },
-      { upsert: true, new: true }
-    );
-
-    res.json({
-      success: true,
-      data: profile
-    });
-  } catch (error) {
-    console.error('Error fetching player profile:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+      $setOnInsert: resolved ? {} : regions,
+      // Profile views feed the search ranking
+      $inc: { lookupCount: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  res.json({
+    success: true,
+    data: profile
+  });
+}));
+
+// Force a refresh of a stored player's matches, bypassing the match list cache
+router.post('/players/:puuid/refresh', requireAuth, validate({
+  params: { puuid }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+
+  const user = await User.findOne({ puuid }).lean();
+  if (!user) {
+    throw new NotFoundError('Player not found', 'PLAYER_NOT_FOUND');
   }
-});
 
-// Get match history
-router.get('/matches/:puuid', async (req, res) => {
-  try {
-    const { puuid } = req.params;
-    const { region = 'europe', count = 20 } = req.query;
+  await cache.purge(`matches:${puuid}`);
+  const result = await playerRefresh.refreshPlayer(user);
 
-    const matches = await riotAPI.getRecentMatchesWithDetails(puuid, region, parseInt(count));
+  res.json({
+    success: true,
+    data: result
+  });
+}));
 
-    res.json({
-      success: true,
-      data: matches
-    });
-  } catch (error) {
-    console.error('Error fetching matches:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+// Get match history
+router.get('/matches/:puuid', validate({
+  params: { puuid },
+  query: {
+    region: cluster,
+    platformRegion: shard,
+    locale,
+    count: { type: 'int', min: 1, max: 100, default: 20 },
+    limit: { type: 'int', min: 1, max: 100, default: 20 },
+    before: { type: 'date' },
+    after: { type: 'date' },
+    map: id,
+    mode: id,
+    agent: id,
+    queue
   }
-});
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { locale, count, limit, before, after, map, mode, agent, queue } = req.valid.query;
+  const { platformRegion } = await regionService.resolve(puuid, req.valid.query);
 
-// Get specific match details
-router.get('/match/:matchId', async (req, res) => {
+  // Pull in any new matches first; stored history is still served if Riot is unavailable
   try {
-    const { matchId } = req.params;
-    const { region = 'europe' } = req.query;
-
-    const match = await riotAPI.getMatchDetails(matchId, region);
-
-    res.json({
-      success: true,
-      data: match
-    });
+    await matchIngestion.syncPlayer(puuid, platformRegion, count, { queue });
   } catch (error) {
-    console.error('Error fetching match:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+    console.error('Error syncing matches:', error.message);
   }
-});
-
-// Get player statistics
-router.get('/stats/:puuid', async (req, res) => {
-  try {
-    const { puuid } = req.params;
-    const { region = 'europe', count = 20 } = req.query;
-
-    const matches = await riotAPI.getRecentMatchesWithDetails(puuid, region, parseInt(count));
-    const stats = riotAPI.calculatePlayerStats(matches, puuid);
-
-    // Save statistics to database
-    await Statistics.findOneAndUpdate(
-      { puuid },
-      {
-        puuid,
-        ...stats,
-        lastCalculated: new Date()
-      },
-      { upsert: true, new: true }
-    );
 
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    console.error('Error calculating stats:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+  const { matches, paging } = await matchIngestion.findPlayerMatches(puuid, {
+    before,
+    after,
+    map,
+    mode,
+    agent,
+    queue,
+    limit
+  });
+
+  const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+
+  res.json({
+    success: true,
+    data: contentCatalog.enrichRows(matches, catalog),
+    paging
+  });
+}));
+
+// Page through Riot's match list (newest first), optionally one queue; with details=true the
+// page's matches are downloaded too and any that fail are listed under `failed`
+router.get('/matches/:puuid/list', validate({
+  params: { puuid },
+  query: {
+    region: cluster,
+    platformRegion: shard,
+    queue,
+    startIndex: { type: 'int', min: 0, default: 0 },
+    count: { type: 'int', min: 1, max: 100, default: 20 },
+    details: { type: 'boolean', default: false }
   }
-});
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { queue, startIndex, count, details } = req.valid.query;
+  const { platformRegion } = await regionService.resolve(puuid, req.valid.query);
+  const options = { queue, startIndex, count };
+
+  res.json({
+    success: true,
+    data: details
+      ? await matchListService.getMatchesWithDetails(puuid, platformRegion, options)
+      : await matchListService.getMatchList(puuid, platformRegion, options)
+  });
+}));
+
+// Matches are served per shard: the one a stored match came from, else ?platformRegion= (default eu)
+const matchSchema = {
+  params: { matchId: { type: 'string', required: true, max: 100 } },
+  query: { platformRegion: shard, locale }
+};
+
+async function matchShard(matchId, query) {
+  return query.platformRegion || await matchIngestion.getStoredShard(matchId) || 'eu';
+}
 
-// Get player MMR/Rank
-router.get('/rank/:puuid', async (req, res) => {
-  try {
-    const { puuid } = req.params;
-    const { platformRegion = 'eu' } = req.query;
-
-    const mmr = await riotAPI.getPlayerMMR(puuid, platformRegion);
-
-    // Save rank history
-    if (mmr && mmr.currenttier) {
-      await RankHistory.create({
-        puuid,
-        currentTier: mmr.currenttier,
-        currentTierName: mmr.currenttierpatched,
-        rankedRating: mmr.ranking_in_tier,
-        leaderboardRank: mmr.leaderboard_rank,
-        competitiveSeason: mmr.current_season,
-        recordedAt: new Date()
-      });
-    }
+// Get specific match details
+router.get('/match/:matchId', validate(matchSchema), asyncRoute(async (req, res) => {
+  const { matchId } = req.valid.params;
+  const { locale } = req.valid.query;
+  const platformRegion = await matchShard(matchId, req.valid.query);
+
+  const match = await matchIngestion.getMatch(matchId, platformRegion);
+  const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+
+  res.json({
+    success: true,
+    data: contentCatalog.enrichMatch(match, catalog)
+  });
+}));
+
+// Get round-by-round analytics for a match
+router.get('/match/:matchId/rounds', validate(matchSchema), asyncRoute(async (req, res) => {
+  const { matchId } = req.valid.params;
+  const { locale } = req.valid.query;
+  const platformRegion = await matchShard(matchId, req.valid.query);
+
+  const match = await matchIngestion.getMatch(matchId, platformRegion);
+  const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+  const analysis = analyzeMatch(contentCatalog.enrichMatch(match, catalog));
+  analysis.players.forEach(player => {
+    player.weapons = contentCatalog.enrichWeapons(player.weapons, catalog);
+  });
+
+  res.json({
+    success: true,
+    data: analysis
+  });
+}));
 
-    res.json({
-      success: true,
-      data: mmr
-    });
-  } catch (error) {
-    console.error('Error fetching rank:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+// Get player statistics
+// Lifetime by default; narrow the window with ?last=20, ?days=7, ?act=current|<actId> and ?queue=competitive
+router.get('/stats/:puuid', validate({
+  params: { puuid },
+  query: {
+    region: cluster,
+    platformRegion: shard,
+    locale,
+    count: { type: 'int', min: 1, max: 100, default: 20 },
+    last: { type: 'int', min: 1, max: 1000 },
+    days: { type: 'number', min: 0.1, max: 3650 },
+    act: id,
+    queue: id
   }
-});
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { locale, count, last, days, act, queue } = req.valid.query;
+  const { platformRegion } = await regionService.resolve(puuid, req.valid.query);
 
-// Get rank history
-router.get('/rank-history/:puuid', async (req, res) => {
   try {
-    const { puuid } = req.params;
-    const { limit = 50 } = req.query;
-
-    const history = await RankHistory.find({ puuid })
-      .sort({ recordedAt: -1 })
-      .limit(parseInt(limit));
-
-    res.json({
-      success: true,
-      data: history
-    });
+    await matchIngestion.syncPlayer(puuid, platformRegion, count);
   } catch (error) {
-    console.error('Error fetching rank history:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    console.error('Error syncing matches:', error.message);
+  }
+
+  const window = {
+    last: last || null,
+    days: days || null,
+    seasonId: act === 'current' ? await riotAPI.getCurrentAct(platformRegion) : act || null,
+    queue: queue ? queue.toLowerCase() : null
+  };
+
+  const stats = await statisticsService.getStatistics(puuid, window);
+  const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+
+  res.json({
+    success: true,
+    data: contentCatalog.enrichStats(stats, catalog),
+    window
+  });
+}));
+
+// Performance over time from stored matches: per day, week or act series, rolling averages,
+// win/loss streaks and recent form against the player's baseline
+router.get('/stats/:puuid/trends', validate({
+  params: { puuid },
+  query: {
+    region: cluster,
+    platformRegion: shard,
+    locale,
+    bucket: { type: 'enum', values: ['day', 'week', 'act'], default: 'week' },
+    days: { type: 'number', min: 1, max: 3650 },
+    queue,
+    rolling: { type: 'int', min: 1, max: 30, default: 3 },
+    formGames: { type: 'int', min: 5, max: 50, default: 10 }
+  }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { region, platformRegion: requestedShard, locale, ...options } = req.valid.query;
+
+  const trends = await statisticsService.getTrends(puuid, options);
+
+  if (options.bucket === 'act') {
+    const { platformRegion } = await regionService.resolve(puuid, { region, platformRegion: requestedShard });
+    const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+    trends.series.forEach(point => {
+      const act = contentCatalog.act(catalog, point.actId);
+      point.actName = act ? [act.episodeName, act.name].filter(Boolean).join(' ') : null;
     });
   }
-});
 
-// Get game content (maps, agents, etc.)
-router.get('/content', async (req, res) => {
-  try {
-    const { region = 'eu' } = req.query;
-    const content = await riotAPI.getContent(region);
+  res.json({
+    success: true,
+    data: trends
+  });
+}));
+
+// Per-weapon kills, headshot %, damage per round and economy efficiency from stored matches
+router.get('/stats/:puuid/weapons', validate({
+  params: { puuid },
+  query: {
+    region: cluster,
+    platformRegion: shard,
+    locale,
+    days: { type: 'number', min: 0.1, max: 3650 },
+    act: id,
+    queue
+  }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { locale, days, act, queue } = req.valid.query;
+  const { platformRegion } = await regionService.resolve(puuid, req.valid.query);
+
+  // Rows stored before weapons were recorded get them from their stored match first
+  await matchIngestion.backfillRows({ puuid });
+
+  const window = {
+    days: days || null,
+    seasonId: act === 'current' ? await riotAPI.getCurrentAct(platformRegion) : act || null,
+    queue: queue || null
+  };
+
+  const stats = await statisticsService.getWeaponStats(puuid, window);
+  const catalog = await contentCatalog.tryLoad(platformRegion, locale);
+
+  res.json({
+    success: true,
+    data: { ...stats, weapons: contentCatalog.enrichWeapons(stats.weapons, catalog) },
+    window
+  });
+}));
+
+// Compare two players side by side, plus the games they played together or against each other
+router.get('/compare/:puuidA/:puuidB', validate({
+  params: { puuidA: puuid, puuidB: puuid },
+  query: {
+    limit: { type: 'int', min: 1, max: 500, default: 100 },
+    region: cluster,
+    platformRegion: shard,
+    locale
+  }
+}), asyncRoute(async (req, res) => {
+  const { puuidA, puuidB } = req.valid.params;
+  const { limit, locale } = req.valid.query;
 
-    res.json({
-      success: true,
-      data: content
-    });
-  } catch (error) {
-    console.error('Error fetching content:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+  if (puuidA === puuidB) {
+    throw new ValidationError('Pick two different players to compare');
   }
-});
 
-// Search player
-router.get('/search', async (req, res) => {
-  try {
-    const { name } = req.query;
-    
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search name is required'
-      });
-    }
+  // Names in the catalog follow the first player's shard
+  const { platformRegion } = await regionService.resolve(puuidA, req.valid.query);
 
-    const users = await User.find({
-      $or: [
-        { gameName: new RegExp(name, 'i') },
-        { tagLine: new RegExp(name, 'i') }
-      ]
-    }).limit(10);
+  const comparison = await comparisonService.compare(puuidA, puuidB, {
+    limit,
+    catalog: await contentCatalog.tryLoad(platformRegion, locale)
+  });
 
-    res.json({
-      success: true,
-      data: users
-    });
+  res.json({
+    success: true,
+    data: comparison
+  });
+}));
+
+// Get player rank (derived from stored competitive matches)
+router.get('/rank/:puuid', validate({
+  params: { puuid },
+  query: { region: cluster, platformRegion: shard }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { platformRegion } = await regionService.resolve(puuid, req.valid.query);
+
+  try {
+    await matchIngestion.syncPlayer(puuid, platformRegion);
   } catch (error) {
-    console.error('Error searching players:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error syncing matches:', error.message);
   }
-});
 
-// Get leaderboard
-router.get('/leaderboard', async (req, res) => {
-  try {
-    const { region = 'eu', size = 200, startIndex = 0 } = req.query;
-    
-    console.log(`Fetching leaderboard for region: ${region}`);
+  await rankService.recordFromMatches(puuid, platformRegion);
+  const rank = await rankService.getRankSummary(puuid, platformRegion);
 
-    const leaderboard = await riotAPI.getLeaderboardCurrent(region, parseInt(size), parseInt(startIndex));
+  res.json({
+    success: true,
+    data: rank
+  });
+}));
 
-    res.json({
-      success: true,
-      data: leaderboard,
-      region: region
-    });
-  } catch (error) {
-    console.error('Error fetching leaderboard:', error);
-    res.status(error.response?.status || 500).json({
-      success: false,
-      error: error.response?.data?.status?.message || error.message
-    });
+// Get rank history
+router.get('/rank-history/:puuid', validate({
+  params: { puuid },
+  query: { limit: { type: 'int', min: 1, max: 500, default: 50 } }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { limit } = req.valid.query;
+
+  const history = await RankHistory.find({ puuid })
+    .sort({ recordedAt: -1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    data: history
+  });
+}));
+
+// Get game content (maps, agents, etc.)
+router.get('/content', validate({
+  query: { region: { ...shard, default: 'eu' }, locale }
+}), asyncRoute(async (req, res) => {
+  const { region, locale } = req.valid.query;
+  const content = await riotAPI.getContent(region, locale);
+
+  res.json({
+    success: true,
+    data: content
+  });
+}));
+
+// Search players by name, tag or "name#tag"; unknown exact Riot IDs are looked up live
+router.get('/search', validate({
+  query: {
+    name: { type: 'string', required: true, max: 30 },
+    limit: { type: 'int', min: 1, max: 25, default: 10 }
+  }
+}), asyncRoute(async (req, res) => {
+  const { name, limit } = req.valid.query;
+
+  const results = await searchService.search(name, { limit });
+
+  res.json({
+    success: true,
+    data: results
+  });
+}));
+
+// Get leaderboard; the current act is live, past acts (actId or episode/act) come from stored snapshots
+router.get('/leaderboard', validate({
+  query: {
+    region: { ...shard, default: 'eu' },
+    size: { type: 'int', min: 1, max: 200, default: 200 },
+    startIndex: { type: 'int', min: 0, default: 0 },
+    at: { type: 'date' },
+    ...actQuery
   }
-});
+}), asyncRoute(async (req, res) => {
+  const { region, ...options } = req.valid.query;
+
+  console.log(`Fetching leaderboard for region: ${region}`);
+
+  const leaderboard = await leaderboardService.getLeaderboard(region, options);
+
+  res.json({
+    success: true,
+    data: leaderboard,
+    region: region
+  });
+}));
+
+// Search the newest full leaderboard crawl by Riot ID prefix, tier or RR range (cursor paged)
+router.get('/leaderboard/search', validate({
+  query: {
+    region: { ...shard, default: 'eu' },
+    name: { type: 'string', max: 30 },
+    tier: { type: 'int', min: 0, max: 27 },
+    minTier: { type: 'int', min: 0, max: 27 },
+    maxTier: { type: 'int', min: 0, max: 27 },
+    minRR: { type: 'int', min: 0 },
+    maxRR: { type: 'int', min: 0 },
+    cursor: { type: 'string', max: 200 },
+    limit: { type: 'int', min: 1, max: 200, default: 50 },
+    ...actQuery
+  }
+}), asyncRoute(async (req, res) => {
+  const { region, ...options } = req.valid.query;
+
+  const results = await leaderboardService.search(region, options);
+
+  res.json({
+    success: true,
+    data: results.players,
+    snapshot: {
+      region: results.region,
+      actId: results.actId,
+      takenAt: results.takenAt,
+      totalPlayers: results.totalPlayers
+    },
+    paging: {
+      nextCursor: results.nextCursor
+    }
+  });
+}));
+
+// A player's position in the newest full leaderboard crawl
+router.get('/leaderboard/player/:puuid', validate({
+  params: { puuid },
+  query: { region: { ...shard, default: 'eu' }, ...actQuery }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const { region, ...options } = req.valid.query;
+
+  res.json({
+    success: true,
+    data: await leaderboardService.findPlayer(puuid, region, options)
+  });
+}));
+
+// Stored leaderboard snapshots for a region
+router.get('/leaderboard/snapshots', validate({
+  query: {
+    region: { ...shard, default: 'eu' },
+    actId: id,
+    limit: { type: 'int', min: 1, max: 200, default: 50 }
+  }
+}), asyncRoute(async (req, res) => {
+  const { region, actId, limit } = req.valid.query;
+
+  const snapshots = await leaderboardService.listSnapshots(region, actId, limit);
+
+  res.json({
+    success: true,
+    data: snapshots
+  });
+}));
+
+// A player's leaderboard position across stored snapshots
+router.get('/leaderboard/history/:puuid', validate({
+  params: { puuid },
+  query: {
+    region: shard,
+    actId: id,
+    limit: { type: 'int', min: 1, max: 500, default: 100 }
+  }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+
+  const history = await leaderboardService.getPlayerHistory(puuid, req.valid.query);
+
+  res.json({
+    success: true,
+    data: history
+  });
+}));
 
 module.exports = router;
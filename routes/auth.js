@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { authService } = require('../services');
+const { Account } = require('../models');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Register a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required'
+      });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (await Account.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const account = await Account.create({
+      email,
+      passwordHash: await authService.hashPassword(password),
+      lastLoginAt: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        account: authService.toPublic(account),
+        ...await authService.issueTokens(account)
+      }
+    });
+  } catch (error) {
+    console.error('Error registering account:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    const account = typeof email === 'string'
+      ? await Account.findOne({ email: email.toLowerCase().trim() })
+      : null;
+    const valid = account && typeof password === 'string' &&
+      await authService.verifyPassword(password, account.passwordHash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    account.lastLoginAt = new Date();
+    await account.save();
+
+    res.json({
+      success: true,
+      data: {
+        account: authService.toPublic(account),
+        ...await authService.issueTokens(account)
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    const result = typeof refreshToken === 'string'
+      ? await authService.rotateRefreshToken(refreshToken)
+      : null;
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke a refresh token (access tokens simply expire)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken === 'string') {
+      await authService.revokeRefreshToken(refreshToken);
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
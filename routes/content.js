@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { contentCatalog } = require('../services');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { SHARDS } = require('../services/regionService');
+
+const catalogQuery = validate({
+  query: {
+    region: { type: 'enum', values: SHARDS, default: 'eu' },
+    locale: { type: 'string', pattern: /^[a-z]{2}-[A-Z]{2}$/, patternMessage: 'must look like en-US', default: 'en-US' }
+  }
+});
+
+// Serve one of the catalog's indices, localized with ?locale= (default en-US)
+function catalogRoute(kind) {
+  return asyncRoute(async (req, res) => {
+    const { region, locale } = req.valid.query;
+    const catalog = await contentCatalog.load(region, locale);
+
+    res.json({
+      success: true,
+      data: contentCatalog.list(catalog, kind),
+      version: catalog.version,
+      locale: catalog.locale
+    });
+  });
+}
+
+router.get('/agents', catalogQuery, catalogRoute('agents'));
+router.get('/maps', catalogQuery, catalogRoute('maps'));
+router.get('/weapons', catalogQuery, catalogRoute('weapons'));
+router.get('/acts', catalogQuery, catalogRoute('acts'));
+router.get('/modes', catalogQuery, catalogRoute('gameModes'));
+
+// Content version currently loaded for a region
+router.get('/version', catalogQuery, asyncRoute(async (req, res) => {
+  const { region, locale } = req.valid.query;
+  const catalog = await contentCatalog.load(region, locale);
+
+  res.json({
+    success: true,
+    data: {
+      region: catalog.region,
+      locale: catalog.locale,
+      version: catalog.version,
+      loadedAt: catalog.loadedAt
+    }
+  });
+}));
+
+module.exports = router;
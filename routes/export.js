@@ -0,0 +1,41 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const { exportService } = require('../services');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const ExportService = require('../services/exportService');
+
+// Download a player's stored matches (dataset=matches) or their per-agent / per-map
+// aggregates as CSV, JSON Lines or columnar JSON, optionally limited to a date range and queue
+router.get('/:puuid', validate({
+  params: { puuid: { type: 'string', required: true, max: 100 } },
+  query: {
+    format: { type: 'enum', values: ExportService.FORMATS, default: 'csv' },
+    dataset: { type: 'enum', values: ExportService.DATASETS, default: 'matches' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    queue: { type: 'string', max: 50, pattern: /^[\w -]+$/, patternMessage: 'must be a queue ID or mode name' }
+  }
+}), asyncRoute(async (req, res) => {
+  const { puuid } = req.valid.params;
+  const options = req.valid.query;
+  const catalog = await exportService.prepare(puuid);
+  const { contentType, filename } = exportService.describe(options.format, options.dataset, puuid);
+
+  res.type(contentType);
+  res.attachment(filename);
+
+  // Headers are gone once streaming starts, so a failure can only cut the download short.
+  // pipeline waits for drain and, when the client goes away or the export fails, returns the
+  // generator so its database cursor is closed.
+  try {
+    await pipeline(Readable.from(exportService.stream(puuid, options, catalog)), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error(`Export for ${puuid} failed:`, error.message);
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { parse, validate: validateQuery, execute, specifiedRules } = require('graphql');
+const router = express.Router();
+const services = require('../services');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { toAppError, ValidationError } = require('../services/errors');
+const { createSchema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const { checkLimits } = require('../graphql/limits');
+
+const schema = createSchema(services);
+const limits = {
+  maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8,
+  maxCost: parseInt(process.env.GRAPHQL_MAX_COST) || 5000,
+  maxUpstream: parseInt(process.env.GRAPHQL_MAX_UPSTREAM_FIELDS) || 5
+};
+
+// Resolver errors carry the same codes as the REST API; internal details stay in the log
+function formatError(error) {
+  if (!error.originalError) return error.toJSON();
+
+  const appError = toAppError(error.originalError);
+  if (appError.status >= 500) {
+    console.error(`GraphQL error at ${(error.path || []).join('.')}:`, error.originalError);
+  }
+  return {
+    message: appError.message,
+    locations: error.locations,
+    path: error.path,
+    extensions: {
+      code: appError.code,
+      ...(appError.details ? { details: appError.details } : {})
+    }
+  };
+}
+
+function readVariables(variables) {
+  if (variables === undefined || variables === null || variables === '') return {};
+  if (typeof variables === 'object') return variables;
+  try {
+    return JSON.parse(variables);
+  } catch (error) {
+    throw new ValidationError('variables must be a JSON object');
+  }
+}
+
+// GraphQL over HTTP: POST { query, variables, operationName }, or GET with the same as query
+// parameters (queries only). Parse, validation and limit failures answer 400 with { errors }.
+async function handle(req, res, { query, variables, operationName }) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new ValidationError('query is required');
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error.toJSON()] });
+  }
+
+  const vars = readVariables(variables);
+  const errors = validateQuery(schema, document, specifiedRules);
+  if (errors.length === 0) {
+    errors.push(...checkLimits(schema, document, { operationName, variables: vars, ...limits }));
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ errors: errors.map(error => error.toJSON()) });
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: vars,
+    operationName,
+    contextValue: {
+      loaders: createLoaders(services)
+    }
+  });
+
+  res.json({
+    ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+    data: result.data
+  });
+}
+
+router.get('/', asyncRoute(async (req, res) => {
+  const { query, variables, operationName } = req.query;
+  await handle(req, res, { query, variables, operationName });
+}));
+
+router.post('/', asyncRoute(async (req, res) => {
+  await handle(req, res, req.body || {});
+}));
+
+module.exports = router;
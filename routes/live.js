@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { liveUpdates } = require('../services');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { parsePuuids } = require('../services/liveUpdates');
+const { NotFoundError } = require('../services/errors');
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+function sseMessage(type, data, id = null) {
+  return `${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Server-Sent Events stream for the players in ?puuids=a,b; the "ready" event carries the
+// connection ID used to change subscriptions without reconnecting
+router.get('/events', asyncRoute(async (req, res) => {
+  const puuids = parsePuuids(req.query.puuids);
+  const connection = liveUpdates.connect(event => {
+    res.write(sseMessage(event.type, event, event.id));
+  }, { transport: 'sse' });
+
+  let heartbeat = null;
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    liveUpdates.disconnect(connection);
+  });
+
+  try {
+    await liveUpdates.subscribe(connection, puuids);
+  } catch (error) {
+    liveUpdates.disconnect(connection);
+    throw error;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  res.write(sseMessage('ready', {
+    connectionId: connection.id,
+    subscriptions: [...connection.subscriptions],
+    limit: liveUpdates.maxSubscriptions
+  }));
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+}));
+
+function findConnection(id) {
+  const connection = liveUpdates.getConnection(id);
+  if (!connection) throw new NotFoundError('Unknown live connection', 'LIVE_CONNECTION_NOT_FOUND');
+  return connection;
+}
+
+// Follow more players on an open stream: { puuids: [...] }
+router.post('/connections/:connectionId/subscribe', asyncRoute(async (req, res) => {
+  const connection = findConnection(req.params.connectionId);
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions: await liveUpdates.subscribe(connection, parsePuuids(req.body?.puuids))
+    }
+  });
+}));
+
+router.post('/connections/:connectionId/unsubscribe', asyncRoute(async (req, res) => {
+  const connection = findConnection(req.params.connectionId);
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions: liveUpdates.unsubscribe(connection, parsePuuids(req.body?.puuids))
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const { WebSocketServer } = require('ws');
+const { liveUpdates } = require('../services');
+const { parsePuuids } = require('../services/liveUpdates');
+const { ValidationError, toAppError } = require('../services/errors');
+
+const PATH = '/api/live/ws';
+// Clients that miss a ping for this long are dropped
+const HEARTBEAT_MS = 30 * 1000;
+// Stop queueing events for a client that isn't reading them
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// WebSocket counterpart of GET /api/live/events. Clients send
+//   { "action": "subscribe" | "unsubscribe", "puuids": [...] }
+// and receive { type: "ready" | "subscriptions" | "event" | "error", ... } messages.
+function attachLiveSocket(server) {
+  const wss = new WebSocketServer({ server, path: PATH, maxPayload: 16 * 1024 });
+
+  wss.on('connection', (socket, req) => {
+    const reply = message => {
+      if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    };
+    const replyError = error => {
+      const appError = toAppError(error);
+      reply({
+        type: 'error',
+        error: appError.message,
+        code: appError.code,
+        ...(appError.details ? { details: appError.details } : {})
+      });
+    };
+
+    let connection;
+    try {
+      connection = liveUpdates.connect(event => {
+        if (socket.bufferedAmount < MAX_BUFFERED_BYTES) reply({ ...event, type: 'event', event: event.type });
+      }, { transport: 'websocket' });
+    } catch (error) {
+      replyError(error);
+      socket.close(1013, 'Try again later');
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('close', () => liveUpdates.disconnect(connection));
+    // Protocol errors (a frame over maxPayload, a malformed frame) end this connection; ws
+    // emits them on the socket, and without a listener they would crash the process
+    socket.on('error', error => {
+      console.error('Live socket error:', error.message);
+      liveUpdates.disconnect(connection);
+      socket.terminate();
+    });
+
+    const handle = async message => {
+      const puuids = parsePuuids(message.puuids);
+      if (message.action === 'subscribe') {
+        return await liveUpdates.subscribe(connection, puuids);
+      }
+      if (message.action === 'unsubscribe') {
+        return liveUpdates.unsubscribe(connection, puuids);
+      }
+      throw new ValidationError('action must be subscribe or unsubscribe');
+    };
+
+    socket.on('message', async data => {
+      try {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          throw new ValidationError('Message is not valid JSON');
+        }
+        reply({ type: 'subscriptions', subscriptions: await handle(message || {}) });
+      } catch (error) {
+        replyError(error);
+      }
+    });
+
+    // Same query string as the SSE stream subscribes straight away; a rejected list still
+    // leaves the socket open for subscribe messages
+    const initial = new URL(req.url, 'http://localhost').searchParams.get('puuids');
+    Promise.resolve()
+      .then(() => liveUpdates.subscribe(connection, parsePuuids(initial)))
+      .catch(replyError)
+      .then(() => reply({
+        type: 'ready',
+        connectionId: connection.id,
+        subscriptions: [...connection.subscriptions],
+        limit: liveUpdates.maxSubscriptions
+      }));
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  attachLiveSocket
+};
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const {
+  regionService,
+  authService,
+  matchIngestion,
+  rankService,
+  statisticsService,
+  notificationService
+} = require('../services');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { Account, User, Statistics } = require('../models');
+
+const MAX_FAVOURITES = 50;
+
+router.use(requireAuth);
+
+async function findAccount(req, res) {
+  const account = await Account.findById(req.auth.accountId);
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      error: 'Account not found'
+    });
+  }
+  return account;
+}
+
+// Get the signed-in account
+router.get('/', async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    res.json({
+      success: true,
+      data: authService.toPublic(account)
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Start linking the account owner's own Riot ID: responds with a Riot Sign On URL to send the
+// player to. Riot redirects back to RSO_REDIRECT_URI with code and state, which the frontend
+// passes to POST /riot-id/verify.
+router.put('/riot-id', asyncRoute(async (req, res) => {
+  const account = await findAccount(req, res);
+  if (!account) return;
+
+  const verification = await authService.startRiotLink(account);
+
+  res.json({
+    success: true,
+    data: {
+      account: authService.toPublic(account),
+      verification
+    }
+  });
+}));
+
+// Finish linking with what Riot's redirect carried
+router.post('/riot-id/verify', validate({
+  body: {
+    code: { type: 'string', required: true, max: 1000 },
+    state: { type: 'string', required: true, max: 100 },
+    region: { type: 'string', max: 20 },
+    platformRegion: { type: 'string', max: 20 }
+  }
+}), asyncRoute(async (req, res) => {
+  const account = await findAccount(req, res);
+  if (!account) return;
+
+  const { code, state } = req.valid.body;
+  const riotAccount = await authService.completeRiotLink(account, code, state);
+  const { region, platformRegion, resolved } = await regionService.resolve(riotAccount.puuid, req.valid.body);
+  const user = await User.findOneAndUpdate(
+    { puuid: riotAccount.puuid },
+    {
+      puuid: riotAccount.puuid,
+      gameName: riotAccount.gameName,
+      tagLine: riotAccount.tagLine,
+      region,
+      platformRegion,
+      ...(resolved ? { shardResolvedAt: new Date() } : {})
+    },
+    { upsert: true, new: true }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      account: authService.toPublic(account),
+      player: user
+    }
+  });
+}));
+
+// Unlink the Riot ID
+router.delete('/riot-id', async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    account.riotPuuid = undefined;
+    account.riotVerified = false;
+    account.pendingRiotLink = undefined;
+    await account.save();
+
+    res.json({
+      success: true,
+      data: authService.toPublic(account)
+    });
+  } catch (error) {
+    console.error('Error unlinking Riot ID:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List followed players
+router.get('/favourites', async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    const players = await User.find({ puuid: { $in: account.favourites } }).lean();
+
+    res.json({
+      success: true,
+      data: players
+    });
+  } catch (error) {
+    console.error('Error fetching favourites:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Follow a player we already know about
+router.put('/favourites/:puuid', async (req, res) => {
+  try {
+    const { puuid } = req.params;
+
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    if (!await User.exists({ puuid })) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found; look them up first'
+      });
+    }
+
+    if (!account.favourites.includes(puuid)) {
+      if (account.favourites.length >= MAX_FAVOURITES) {
+        return res.status(400).json({
+          success: false,
+          error: `You can follow at most ${MAX_FAVOURITES} players`
+        });
+      }
+      account.favourites.push(puuid);
+      await account.save();
+    }
+
+    res.json({
+      success: true,
+      data: account.favourites
+    });
+  } catch (error) {
+    console.error('Error adding favourite:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Unfollow a player
+router.delete('/favourites/:puuid', async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    account.favourites = account.favourites.filter(puuid => puuid !== req.params.puuid);
+    await account.save();
+
+    res.json({
+      success: true,
+      data: account.favourites
+    });
+  } catch (error) {
+    console.error('Error removing favourite:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Personal dashboard: own stats, rank and recent games plus a summary of followed players
+router.get('/dashboard', async (req, res) => {
+  try {
+    const account = await findAccount(req, res);
+    if (!account) return;
+
+    let me = null;
+    if (account.riotPuuid && account.riotVerified) {
+      const puuid = account.riotPuuid;
+      const user = await User.findOne({ puuid }).lean();
+      const [statistics, rank, recent] = await Promise.all([
+        statisticsService.getStatistics(puuid),
+        rankService.getRankSummary(puuid, user?.platformRegion, 10),
+        matchIngestion.findPlayerMatches(puuid, { limit: 5 })
+      ]);
+      me = { player: user, statistics, rank, recentMatches: recent.matches };
+    }
+
+    const [players, statistics] = await Promise.all([
+      User.find({ puuid: { $in: account.favourites } }).lean(),
+      Statistics.find({ puuid: { $in: account.favourites } })
+        .select('puuid totalMatches wins totalKills totalDeaths totalScore totalRounds totalHeadshots totalBodyshots totalLegshots lastCalculated')
+        .lean()
+    ]);
+    const statsByPuuid = new Map(statistics.map(stats => {
+      const { kd, winRate, headshotPercentage, acs } = statisticsService.withDerived(stats);
+      return [stats.puuid, {
+        puuid: stats.puuid,
+        totalMatches: stats.totalMatches,
+        kd,
+        winRate,
+        headshotPercentage,
+        acs,
+        lastCalculated: stats.lastCalculated
+      }];
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        account: authService.toPublic(account),
+        me,
+        favourites: players.map(player => ({
+          ...player,
+          statistics: statsByPuuid.get(player.puuid) || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error building dashboard:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Webhook targets: post a tracked player's new matches to Discord or a signed HTTP endpoint
+const webhookFields = {
+  url: { type: 'string', max: 500 },
+  label: { type: 'string', max: 50 },
+  rateLimitPerMinute: { type: 'int', min: 1, max: 30 }
+};
+const webhookId = { id: { type: 'string', required: true, max: 24 } };
+
+router.get('/webhooks', asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await notificationService.listTargets(req.auth.accountId)
+  });
+}));
+
+// The response carries the HTTP signing secret; it isn't shown again
+router.post('/webhooks', validate({
+  body: {
+    ...webhookFields,
+    puuid: { type: 'string', required: true, max: 100 },
+    kind: { type: 'enum', values: ['discord', 'http'], required: true },
+    url: { ...webhookFields.url, required: true },
+    secret: { type: 'string', min: 16, max: 200 }
+  }
+}), asyncRoute(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: await notificationService.createTarget(req.auth.accountId, req.valid.body)
+  });
+}));
+
+router.patch('/webhooks/:id', validate({
+  params: webhookId,
+  body: { ...webhookFields, enabled: { type: 'boolean' } }
+}), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await notificationService.updateTarget(req.auth.accountId, req.valid.params.id, req.valid.body)
+  });
+}));
+
+router.delete('/webhooks/:id', validate({ params: webhookId }), asyncRoute(async (req, res) => {
+  await notificationService.deleteTarget(req.auth.accountId, req.valid.params.id);
+  res.json({ success: true });
+}));
+
+// Send the player's latest match now, to check the target works
+router.post('/webhooks/:id/test', validate({ params: webhookId }), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await notificationService.sendTest(req.auth.accountId, req.valid.params.id)
+  });
+}));
+
+// Delivery log; ?status=dead is the dead-letter log
+router.get('/webhooks/:id/deliveries', validate({
+  params: webhookId,
+  query: {
+    status: { type: 'enum', values: ['pending', 'delivered', 'dead'] },
+    limit: { type: 'int', min: 1, max: 200, default: 50 }
+  }
+}), asyncRoute(async (req, res) => {
+  res.json({
+    success: true,
+    data: await notificationService.listDeliveries(req.auth.accountId, req.valid.params.id, req.valid.query)
+  });
+}));
+
+router.post('/webhooks/:id/deliveries/:deliveryId/retry', validate({
+  params: { ...webhookId, deliveryId: { type: 'string', required: true, max: 24 } }
+}), asyncRoute(async (req, res) => {
+  const { id, deliveryId } = req.valid.params;
+
+  res.json({
+    success: true,
+    data: await notificationService.retryDelivery(req.auth.accountId, id, deliveryId)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { contentCatalog, metaService } = require('../services');
+const { validate } = require('../middleware/validate');
+const { asyncRoute } = require('../middleware/errorHandler');
+const { SHARDS } = require('../services/regionService');
+const { QUEUES } = require('../services/matchNormalizer');
+const MetaService = require('../services/metaService');
+
+// act is an act ID or "current"; region is the shard matches were downloaded from;
+// tier is a rank bucket applied to each player's tier in the match
+const metaQuery = {
+  act: { type: 'string', max: 100 },
+  region: { type: 'enum', values: SHARDS },
+  queue: { type: 'enum', values: QUEUES },
+  tier: { type: 'enum', values: MetaService.TIER_BUCKETS },
+  locale: { type: 'string', pattern: /^[a-z]{2}-[A-Z]{2}$/, patternMessage: 'must look like en-US' }
+};
+
+function describe(snapshot) {
+  return {
+    filters: {
+      actId: snapshot.actId || null,
+      region: snapshot.region || null,
+      queue: snapshot.queue || null,
+      tier: snapshot.tier || null
+    },
+    totalMatches: snapshot.totalMatches,
+    totalPlayers: snapshot.totalPlayers,
+    computedAt: snapshot.computedAt
+  };
+}
+
+function nameAgents(agents, catalog) {
+  return agents.map(entry => {
+    const agent = contentCatalog.agent(catalog, entry.agentId || entry.agent);
+    return { ...entry, name: agent?.name || entry.agent || entry.agentId, role: agent?.role || null };
+  });
+}
+
+// Pick rate, win rate, K/D and ACS per agent across every stored match; with ?map= the same
+// numbers for games on that map only
+router.get('/agents', validate({
+  query: { ...metaQuery, map: { type: 'string', max: 100 } }
+}), asyncRoute(async (req, res) => {
+  const { locale, map, ...filters } = req.valid.query;
+  const snapshot = await metaService.getMeta(filters);
+  const catalog = await contentCatalog.tryLoad('eu', locale);
+
+  let agents = snapshot.agents;
+  if (map) {
+    const wanted = contentCatalog.map(catalog, map);
+    const found = snapshot.maps.find(entry => (wanted
+      ? contentCatalog.map(catalog, entry.mapId || entry.map)?.id === wanted.id
+      : entry.map.toLowerCase() === map.toLowerCase()));
+    agents = found ? found.agents : [];
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...describe(snapshot),
+      map: map || null,
+      agents: nameAgents(agents, catalog)
+    }
+  });
+}));
+
+// Per map: how often it's played, attack and defense round win rates, and each agent's
+// pick and win rate on it
+router.get('/maps', validate({
+  query: metaQuery
+}), asyncRoute(async (req, res) => {
+  const { locale, ...filters } = req.valid.query;
+  const snapshot = await metaService.getMeta(filters);
+  const catalog = await contentCatalog.tryLoad('eu', locale);
+
+  res.json({
+    success: true,
+    data: {
+      ...describe(snapshot),
+      maps: snapshot.maps.map(entry => ({
+        ...entry,
+        name: contentCatalog.map(catalog, entry.mapId || entry.map)?.name || entry.map,
+        agents: nameAgents(entry.agents, catalog)
+      }))
+    }
+  });
+}));
+
+// Per weapon across every stored match: kills and share of all kills, how often it's the weapon
+// carried into a round, headshot %, damage per round and damage per 1,000 loadout credits
+router.get('/weapons', validate({
+  query: metaQuery
+}), asyncRoute(async (req, res) => {
+  const { locale, ...filters } = req.valid.query;
+  const snapshot = await metaService.getMeta(filters);
+  const catalog = await contentCatalog.tryLoad('eu', locale);
+
+  res.json({
+    success: true,
+    data: {
+      ...describe(snapshot),
+      weapons: contentCatalog.enrichWeapons(snapshot.weapons || [], catalog)
+    }
+  });
+}));
+
+module.exports = router;
@@ -23,16 +23,64 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Stricter limit on credential endpoints
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many authentication attempts, please try again later.'
+});
+app.use('/api/auth/', authLimiter);
+
+// Routes and shared services
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const apiRoutes = require('./routes/api');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const meRoutes = require('./routes/me');
+const contentRoutes = require('./routes/content');
+const liveRoutes = require('./routes/live');
+const exportRoutes = require('./routes/export');
+const graphqlRoutes = require('./routes/graphql');
+const metaRoutes = require('./routes/meta');
+const { attachLiveSocket } = require('./routes/liveSocket');
+const { riotAPI, jobScheduler, searchService, liveUpdates } = require('./services');
+const { Match } = require('./models');
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/valorant-tracker', {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✓ MongoDB connected successfully'))
+.then(async () => {
+  console.log('✓ MongoDB connected successfully');
+  // Before anything ingests matches: the old unique matchId index rejects participant rows
+  try {
+    if (await Match.dropLegacyIndexes()) console.log('✓ Dropped legacy unique matchId index');
+  } catch (error) {
+    console.error('Dropping legacy match indexes failed:', error.message);
+  }
+  searchService.backfillKeys()
+    .then(count => count > 0 && console.log(`✓ Added search keys to ${count} players`))
+    .catch(error => console.error('Search key backfill failed:', error.message));
+  if (process.env.JOBS_ENABLED !== 'false') {
+    jobScheduler.start();
+  }
+})
 .catch(err => console.error('✗ MongoDB connection error:', err));
 
-// Routes
-const apiRoutes = require('./routes/api');
+// Mount routes; the admin endpoints stay off until ADMIN_API_TOKEN is set
+if (process.env.ADMIN_API_TOKEN) {
+  app.use('/api/admin', adminRoutes);
+} else {
+  console.warn('ADMIN_API_TOKEN is not set; /api/admin is disabled');
+}
+app.use('/api/auth', authRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/content', contentRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/graphql', graphqlRoutes);
+app.use('/api/meta', metaRoutes);
 app.use('/api', apiRoutes);
 
 // Health check
@@ -41,29 +89,24 @@ app.get('/health', (req, res) => {
     success: true,
     message: 'Valorant Tracker API is running',
     timestamp: new Date(),
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    success: false,
-    error: err.message || 'Internal server error'
+    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    riotApi: {
+      ...riotAPI.scheduler.getStats(),
+      remainingBudget: riotAPI.scheduler.remainingBudget(),
+      keys: riotAPI.keys.summary()
+    },
+    live: liveUpdates.summary()
   });
 });
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
-});
+app.use(notFound);
+
+// Error handling middleware: typed errors -> { success: false, error, code }
+app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
+// Start server; live updates share its port for WebSocket upgrades
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════╗
 ║   VALORANT STATS TRACKER API                  ║
@@ -72,5 +115,6 @@ app.listen(PORT, () => {
 ╚═══════════════════════════════════════════════╝
   `);
 });
+attachLiveSocket(server);
 
 module.exports = app;
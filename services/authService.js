@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { Account } = require('../models');
+const { ValidationError, ConflictError } = require('./errors');
+
+const REFRESH_TOKEN_DAYS = 30;
+const MAX_REFRESH_TOKENS = 10;
+// Time the player has to sign in at Riot and come back
+const LINK_MINUTES = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+class AuthService {
+  constructor({ riotSignOn } = {}) {
+    this.riotSignOn = riotSignOn;
+  }
+
+  async hashPassword(password) {
+    return await bcrypt.hash(password, 10);
+  }
+
+  async verifyPassword(password, passwordHash) {
+    return await bcrypt.compare(password, passwordHash);
+  }
+
+  // Short-lived signed access token plus an opaque refresh token stored hashed on the account
+  async issueTokens(account) {
+    const accessToken = jwt.sign(
+      { sub: account._id.toString(), role: account.role },
+      jwtSecret(),
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+    // Drop expired tokens and keep only the most recent sessions
+    await Account.updateOne(
+      { _id: account._id },
+      { $pull: { refreshTokens: { expiresAt: { $lte: new Date() } } } }
+    );
+    await Account.updateOne(
+      { _id: account._id },
+      {
+        $push: {
+          refreshTokens: {
+            $each: [{ tokenHash: hashToken(refreshToken), expiresAt }],
+            $slice: -MAX_REFRESH_TOKENS
+          }
+        }
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  verifyAccessToken(token) {
+    return jwt.verify(token, jwtSecret());
+  }
+
+  // Exchange a refresh token for a new pair; the old refresh token stops working
+  async rotateRefreshToken(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const account = await Account.findOneAndUpdate(
+      { refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } } },
+      { $pull: { refreshTokens: { tokenHash } } },
+      { new: true }
+    );
+
+    if (!account) return null;
+    return {
+      account,
+      tokens: await this.issueTokens(account)
+    };
+  }
+
+  async revokeRefreshToken(refreshToken) {
+    const result = await Account.updateOne(
+      { 'refreshTokens.tokenHash': hashToken(refreshToken) },
+      { $pull: { refreshTokens: { tokenHash: hashToken(refreshToken) } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Linking a Riot ID proves ownership through Riot Sign On: the player signs in at the returned
+  // URL, and Riot redirects back with a code and our state. Until then the current link (if any)
+  // stays.
+  async startRiotLink(account) {
+    const state = crypto.randomBytes(24).toString('hex');
+    const authorizeUrl = this.riotSignOn.authorizeUrl(state);
+
+    account.pendingRiotLink = {
+      stateHash: hashToken(state),
+      expiresAt: new Date(Date.now() + LINK_MINUTES * 60 * 1000)
+    };
+    await account.save();
+    return { authorizeUrl, expiresAt: account.pendingRiotLink.expiresAt };
+  }
+
+  // code and state: what Riot's redirect carried. Returns the linked Riot account.
+  async completeRiotLink(account, code, state) {
+    const pending = account.pendingRiotLink;
+    // The state ties the redirect to a link this account started, so nobody can get their
+    // code completed on someone else's account
+    if (!pending?.stateHash || pending.stateHash !== hashToken(state)) {
+      throw new ValidationError('No Riot ID link is waiting for this sign-in; start one with PUT /api/me/riot-id');
+    }
+    if (pending.expiresAt < new Date()) {
+      throw new ValidationError('The Riot sign-in took too long; link the Riot ID again');
+    }
+
+    const riotAccount = await this.riotSignOn.getAccount(code);
+
+    await this.assertRiotIdFree(account, riotAccount.puuid);
+    account.riotPuuid = riotAccount.puuid;
+    account.riotVerified = true;
+    account.pendingRiotLink = undefined;
+    try {
+      await account.save();
+    } catch (error) {
+      if (error.code === 11000) throw new ConflictError('This Riot ID is linked to another account', 'RIOT_ID_LINKED');
+      throw error;
+    }
+    return riotAccount;
+  }
+
+  async assertRiotIdFree(account, puuid) {
+    if (await Account.exists({ _id: { $ne: account._id }, riotPuuid: puuid, riotVerified: true })) {
+      throw new ConflictError('This Riot ID is linked to another account', 'RIOT_ID_LINKED');
+    }
+  }
+
+  // Account fields that are safe to return
+  toPublic(account) {
+    return {
+      id: account._id,
+      email: account.email,
+      role: account.role,
+      riotPuuid: account.riotPuuid || null,
+      riotVerified: !!account.riotVerified,
+      pendingRiotLink: account.pendingRiotLink?.stateHash
+        ? { expiresAt: account.pendingRiotLink.expiresAt }
+        : null,
+      favourites: account.favourites,
+      createdAt: account.createdAt,
+      lastLoginAt: account.lastLoginAt
+    };
+  }
+}
+
+module.exports = AuthService;
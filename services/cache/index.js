@@ -0,0 +1,27 @@
+const MemoryCache = require('./memoryCache');
+const { POLICIES, policyFor, isFresh } = require('./policies');
+
+// Pick the cache backend from CACHE_BACKEND (memory, mongo or redis)
+function createCache(backend = process.env.CACHE_BACKEND || 'memory') {
+  switch (backend) {
+    case 'mongo': {
+      const MongoCache = require('./mongoCache');
+      return new MongoCache();
+    }
+    case 'redis': {
+      const RedisCache = require('./redisCache');
+      return new RedisCache(process.env.REDIS_URL || 'redis://localhost:6379', process.env.CACHE_NAMESPACE);
+    }
+    case 'memory':
+      return new MemoryCache({ maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 10000 });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  createCache,
+  POLICIES,
+  policyFor,
+  isFresh
+};
@@ -0,0 +1,73 @@
+const NodeCache = require('node-cache');
+const { buildEntry } = require('./policies');
+
+// In-process cache; lost on restart and not shared between replicas. Entries that never expire
+// (finished matches) would grow it without bound, so past maxKeys the least recently used go
+class MemoryCache {
+  constructor({ maxKeys = 10000 } = {}) {
+    this.backend = 'memory';
+    this.maxKeys = maxKeys;
+    this.store = new NodeCache({ stdTTL: 0, checkperiod: 120 });
+    // Keys from least to most recently used
+    this.recent = new Map();
+    this.store.on('del', key => this.recent.delete(key));
+    this.store.on('expired', key => this.recent.delete(key));
+  }
+
+  touch(key) {
+    this.recent.delete(key);
+    this.recent.set(key, true);
+  }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    this.touch(key);
+    return entry;
+  }
+
+  async set(key, value, policy) {
+    const entry = buildEntry(key, value, policy);
+    const ttl = entry.expiresAt ? Math.ceil((entry.expiresAt - entry.storedAt) / 1000) : 0;
+    this.store.set(key, entry, ttl);
+    this.touch(key);
+
+    while (this.recent.size > this.maxKeys) {
+      const oldest = this.recent.keys().next().value;
+      this.recent.delete(oldest);
+      this.store.del(oldest);
+    }
+    return entry;
+  }
+
+  async delete(key) {
+    return this.store.del(key) > 0;
+  }
+
+  async keys({ prefix = '', limit = 100 } = {}) {
+    return this.store.keys()
+      .filter(key => key.startsWith(prefix))
+      .slice(0, limit)
+      .map(key => {
+        const { value, ...meta } = this.store.get(key) || {};
+        return meta;
+      })
+      .filter(meta => meta.key);
+  }
+
+  async purge(prefix = '') {
+    const keys = this.store.keys().filter(key => key.startsWith(prefix));
+    return this.store.del(keys);
+  }
+
+  async stats() {
+    return {
+      backend: this.backend,
+      keys: this.store.keys().length,
+      maxKeys: this.maxKeys,
+      ...this.store.getStats()
+    };
+  }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,81 @@
+const { CacheEntry } = require('../../models');
+const { buildEntry } = require('./policies');
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toTime(date) {
+  return date ? new Date(date).getTime() : null;
+}
+
+// Cache stored in the CacheEntry collection; survives restarts and is shared between replicas
+class MongoCache {
+  constructor() {
+    this.backend = 'mongo';
+  }
+
+  toEntry(doc, includeValue = true) {
+    const entry = {
+      key: doc.key,
+      storedAt: toTime(doc.storedAt),
+      freshUntil: toTime(doc.freshUntil),
+      expiresAt: toTime(doc.expiresAt)
+    };
+    if (includeValue) entry.value = doc.value;
+    return entry;
+  }
+
+  async get(key) {
+    const doc = await CacheEntry.findOne({ key }).lean();
+    // The TTL monitor only runs once a minute, so double check expiry
+    if (!doc || (doc.expiresAt && doc.expiresAt.getTime() <= Date.now())) return null;
+    return this.toEntry(doc);
+  }
+
+  async set(key, value, policy) {
+    const entry = buildEntry(key, value, policy);
+    await CacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          key,
+          value,
+          storedAt: new Date(entry.storedAt),
+          freshUntil: entry.freshUntil ? new Date(entry.freshUntil) : null,
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+        }
+      },
+      { upsert: true }
+    );
+    return entry;
+  }
+
+  async delete(key) {
+    const result = await CacheEntry.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+
+  async keys({ prefix = '', limit = 100 } = {}) {
+    const docs = await CacheEntry.find({ key: new RegExp('^' + escapeRegex(prefix)) })
+      .select('-value')
+      .sort({ key: 1 })
+      .limit(limit)
+      .lean();
+    return docs.map(doc => this.toEntry(doc, false));
+  }
+
+  async purge(prefix = '') {
+    const result = await CacheEntry.deleteMany({ key: new RegExp('^' + escapeRegex(prefix)) });
+    return result.deletedCount;
+  }
+
+  async stats() {
+    return {
+      backend: this.backend,
+      keys: await CacheEntry.estimatedDocumentCount()
+    };
+  }
+}
+
+module.exports = MongoCache;
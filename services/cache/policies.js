@@ -0,0 +1,52 @@
+// Per-resource cache policies, keyed by the prefix of the cache key ("match:...", "content:...")
+// ttl: seconds an entry is fresh (0 = forever)
+// staleTtl: extra seconds a stale entry is still served while it is refreshed in the background
+//           (null = a stale entry is kept until it is replaced)
+const POLICIES = {
+  // Finished matches never change
+  match: { ttl: 0, staleTtl: 0 },
+  // New games show up here, so keep it short
+  matches: { ttl: 60, staleTtl: 300 },
+  account: { ttl: 3600, staleTtl: 86400 },
+  // Players rarely move shard
+  shard: { ttl: 86400, staleTtl: 604800 },
+  // Content only changes with a patch: it is re-checked hourly but the old copy is
+  // served until the refreshed one replaces it
+  content: { ttl: 3600, staleTtl: null },
+  leaderboard: { ttl: 300, staleTtl: 600 },
+  default: { ttl: 300, staleTtl: 0 }
+};
+
+function policyFor(cacheKey) {
+  const resource = String(cacheKey).split(':')[0];
+  return POLICIES[resource] || POLICIES.default;
+}
+
+// Build a cache entry with its freshness and expiry timestamps (null = never)
+function buildEntry(key, value, policy = POLICIES.default) {
+  const now = Date.now();
+  const freshUntil = policy.ttl > 0 ? now + policy.ttl * 1000 : null;
+  let expiresAt = null;
+  if (freshUntil !== null && policy.staleTtl !== null) {
+    expiresAt = freshUntil + (policy.staleTtl || 0) * 1000;
+  }
+
+  return {
+    key,
+    value,
+    storedAt: now,
+    freshUntil,
+    expiresAt
+  };
+}
+
+function isFresh(entry, now = Date.now()) {
+  return entry.freshUntil === null || now < entry.freshUntil;
+}
+
+module.exports = {
+  POLICIES,
+  policyFor,
+  buildEntry,
+  isFresh
+};
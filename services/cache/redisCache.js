@@ -0,0 +1,75 @@
+const Redis = require('ioredis');
+const { buildEntry } = require('./policies');
+
+// Cache for any Redis-protocol server (Redis, Valkey, KeyDB, Dragonfly...)
+class RedisCache {
+  constructor(url, namespace = 'valorant:') {
+    this.backend = 'redis';
+    this.namespace = namespace;
+    this.client = new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 2 });
+    this.client.on('error', err => console.error('Redis cache error:', err.message));
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.namespace + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, policy) {
+    const entry = buildEntry(key, value, policy);
+    const payload = JSON.stringify(entry);
+    if (entry.expiresAt) {
+      await this.client.set(this.namespace + key, payload, 'PX', entry.expiresAt - entry.storedAt);
+    } else {
+      await this.client.set(this.namespace + key, payload);
+    }
+    return entry;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.namespace + key)) > 0;
+  }
+
+  // SCAN rather than KEYS so a large keyspace doesn't block the server
+  async scan(prefix, limit = Infinity) {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.namespace}${prefix}*`, 'COUNT', 200);
+      cursor = next;
+      found.push(...keys);
+    } while (cursor !== '0' && found.length < limit);
+    return found.slice(0, limit);
+  }
+
+  async keys({ prefix = '', limit = 100 } = {}) {
+    const keys = await this.scan(prefix, limit);
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mget(keys);
+    return values
+      .filter(Boolean)
+      .map(raw => {
+        const { value, ...meta } = JSON.parse(raw);
+        return meta;
+      });
+  }
+
+  async purge(prefix = '') {
+    const keys = await this.scan(prefix);
+    let deleted = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+      deleted += await this.client.del(...keys.slice(i, i + 500));
+    }
+    return deleted;
+  }
+
+  async stats() {
+    return {
+      backend: this.backend,
+      keys: (await this.scan('')).length
+    };
+  }
+}
+
+module.exports = RedisCache;
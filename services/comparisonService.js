@@ -0,0 +1,164 @@
+const { Match, MatchDetail, User } = require('../models');
+
+const MAX_SHARED_MATCHES = 200;
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// Compares two players from their stored matches: side-by-side stats, then the games they shared
+class ComparisonService {
+  constructor(riotAPI, matchIngestion, contentCatalog) {
+    this.riotAPI = riotAPI;
+    this.matchIngestion = matchIngestion;
+    this.contentCatalog = contentCatalog;
+  }
+
+  async playerSummary(puuid, limit, catalog) {
+    const [user, matches] = await Promise.all([
+      User.findOne({ puuid }).lean(),
+      this.matchIngestion.getStoredMatches(puuid, limit)
+    ]);
+    const stats = this.contentCatalog.enrichStats(this.riotAPI.calculatePlayerStats(matches, puuid), catalog);
+
+    const byMatches = pool => Object.keys(pool)
+      .map(key => ({ id: key, name: key, ...pool[key] }))
+      .sort((a, b) => b.matches - a.matches);
+
+    return {
+      puuid,
+      gameName: user?.gameName || null,
+      tagLine: user?.tagLine || null,
+      totalMatches: stats.totalMatches,
+      kd: stats.kd,
+      winRate: stats.winRate,
+      headshotPercentage: stats.headshotPercentage,
+      averageScore: stats.averageScore,
+      agentPool: byMatches(stats.agents),
+      mapPool: byMatches(stats.maps)
+    };
+  }
+
+  // Kills one player scored on the other in a match
+  killsBetween(match, killer, victim) {
+    let kills = 0;
+    (match.rounds || []).forEach(round => {
+      round.playerStats.forEach(ps => {
+        ps.kills.forEach(kill => {
+          if (kill.killer === killer && kill.victim === victim) kills++;
+        });
+      });
+    });
+    return kills;
+  }
+
+  async sharedMatches(puuidA, puuidB) {
+    const idsA = await Match.distinct('matchId', { puuid: puuidA });
+    const shared = await Match.find({ puuid: puuidB, matchId: { $in: idsA } })
+      .sort({ gameStartTime: -1 })
+      .limit(MAX_SHARED_MATCHES)
+      .select('matchId')
+      .lean();
+
+    const details = await MatchDetail.find({ matchId: { $in: shared.map(m => m.matchId) } }).lean();
+    return details
+      .map(d => d.data)
+      .sort((a, b) => new Date(b.gameStartTime) - new Date(a.gameStartTime));
+  }
+
+  summarizeTogether(matches, puuidA, puuidB) {
+    const statsA = this.riotAPI.calculatePlayerStats(matches, puuidA);
+    const statsB = this.riotAPI.calculatePlayerStats(matches, puuidB);
+
+    const kills = statsA.totalKills + statsB.totalKills;
+    const deaths = statsA.totalDeaths + statsB.totalDeaths;
+
+    return {
+      matches: matches.length,
+      wins: statsA.wins,
+      losses: statsA.losses,
+      draws: statsA.draws,
+      winRate: percentage(statsA.wins, matches.length),
+      combined: {
+        kills,
+        deaths,
+        assists: statsA.totalAssists + statsB.totalAssists,
+        kd: deaths > 0 ? Math.round((kills / deaths) * 100) / 100 : kills,
+        averageScore: matches.length > 0 ? Math.round((statsA.totalScore + statsB.totalScore) / matches.length) : 0
+      },
+      players: {
+        [puuidA]: { kd: statsA.kd, averageScore: statsA.averageScore, headshotPercentage: statsA.headshotPercentage },
+        [puuidB]: { kd: statsB.kd, averageScore: statsB.averageScore, headshotPercentage: statsB.headshotPercentage }
+      },
+      recentMatches: statsA.recentMatches.slice(0, 10)
+    };
+  }
+
+  summarizeAgainst(matches, puuidA, puuidB) {
+    const summary = {
+      matches: matches.length,
+      wins: { [puuidA]: 0, [puuidB]: 0 },
+      draws: 0,
+      kills: { [puuidA]: 0, [puuidB]: 0 },
+      recentMatches: []
+    };
+
+    matches.forEach(match => {
+      const teamA = match.players.find(p => p.puuid === puuidA).teamId;
+      const teamB = match.players.find(p => p.puuid === puuidB).teamId;
+      const winner = match.teams.find(t => t.won);
+      const killsByA = this.killsBetween(match, puuidA, puuidB);
+      const killsByB = this.killsBetween(match, puuidB, puuidA);
+
+      // In deathmatch every player is their own team, so the winner can be neither of them
+      let winnerPuuid = null;
+      if (!winner) {
+        summary.draws++;
+      } else if (winner.teamId === teamA || winner.teamId === teamB) {
+        winnerPuuid = winner.teamId === teamA ? puuidA : puuidB;
+        summary.wins[winnerPuuid]++;
+      }
+      summary.kills[puuidA] += killsByA;
+      summary.kills[puuidB] += killsByB;
+
+      if (summary.recentMatches.length < 10) {
+        summary.recentMatches.push({
+          matchId: match.matchId,
+          map: match.mapName || match.mapId,
+          mode: match.mode,
+          date: match.gameStartTime,
+          winner: winnerPuuid,
+          kills: { [puuidA]: killsByA, [puuidB]: killsByB }
+        });
+      }
+    });
+
+    return summary;
+  }
+
+  async compare(puuidA, puuidB, { limit = 100, catalog = null } = {}) {
+    const [playerA, playerB, shared] = await Promise.all([
+      this.playerSummary(puuidA, limit, catalog),
+      this.playerSummary(puuidB, limit, catalog),
+      this.sharedMatches(puuidA, puuidB)
+    ]);
+
+    const together = [];
+    const against = [];
+    shared.forEach(match => {
+      const a = match.players.find(p => p.puuid === puuidA);
+      const b = match.players.find(p => p.puuid === puuidB);
+      if (!a || !b) return;
+      (a.teamId === b.teamId ? together : against).push(match);
+    });
+
+    return {
+      players: [playerA, playerB],
+      sharedMatches: together.length + against.length,
+      together: this.summarizeTogether(together, puuidA, puuidB),
+      against: this.summarizeAgainst(against, puuidA, puuidB)
+    };
+  }
+}
+
+module.exports = ComparisonService;
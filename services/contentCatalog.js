@@ -0,0 +1,279 @@
+// Content catalog
+// Builds ID -> name indices for agents, maps, weapons, acts and game modes from
+// /val/content/v1/contents. Content is fetched once per region (without a locale, so it
+// carries every localizedNames entry) and a catalog is built per locale and content version.
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Roles aren't part of the content payload, so they're keyed by the agent's English name
+const AGENT_ROLES = {
+  Jett: 'Duelist',
+  Reyna: 'Duelist',
+  Phoenix: 'Duelist',
+  Raze: 'Duelist',
+  Yoru: 'Duelist',
+  Neon: 'Duelist',
+  Iso: 'Duelist',
+  Waylay: 'Duelist',
+  Sova: 'Initiator',
+  Breach: 'Initiator',
+  Skye: 'Initiator',
+  'KAY/O': 'Initiator',
+  Fade: 'Initiator',
+  Gekko: 'Initiator',
+  Tejo: 'Initiator',
+  Brimstone: 'Controller',
+  Viper: 'Controller',
+  Omen: 'Controller',
+  Astra: 'Controller',
+  Harbor: 'Controller',
+  Clove: 'Controller',
+  Sage: 'Sentinel',
+  Cypher: 'Sentinel',
+  Killjoy: 'Sentinel',
+  Chamber: 'Sentinel',
+  Deadlock: 'Sentinel',
+  Vyse: 'Sentinel',
+  Veto: 'Sentinel'
+};
+
+function lowerId(id) {
+  return id ? String(id).toLowerCase() : null;
+}
+
+function displayName(item, locale) {
+  return item.localizedNames?.[locale] || item.name;
+}
+
+// Acts arrive either flat (type/parentId) or nested under their episode
+function flattenActs(acts, parentId = null) {
+  const flat = [];
+  (acts || []).forEach(act => {
+    const children = act.acts || act.children;
+    flat.push({
+      ...act,
+      parentId: act.parentId || parentId,
+      type: act.type || (children ? 'episode' : 'act')
+    });
+    if (children) flat.push(...flattenActs(children, act.id));
+  });
+  return flat;
+}
+
+function buildCatalog(content, region, locale) {
+  const agents = new Map();
+  const agentsByKey = new Map();
+  (content.characters || []).forEach(character => {
+    // The content list includes a null/placeholder character with no English name
+    if (!character.id || character.name === 'Null UI Data!') return;
+    const entry = {
+      id: lowerId(character.id),
+      name: displayName(character, locale),
+      englishName: character.name,
+      role: AGENT_ROLES[character.name] || null,
+      assetName: character.assetName
+    };
+    agents.set(entry.id, entry);
+    // Unofficial payloads name agents instead of using their ID
+    agentsByKey.set(entry.id, entry);
+    agentsByKey.set(lowerId(character.name), entry);
+  });
+
+  const maps = new Map();
+  const mapsByKey = new Map();
+  (content.maps || []).forEach(map => {
+    const entry = {
+      id: lowerId(map.id),
+      name: displayName(map, locale),
+      englishName: map.name,
+      assetName: map.assetName,
+      assetPath: map.assetPath || null
+    };
+    maps.set(entry.id, entry);
+    [entry.id, lowerId(entry.assetPath), lowerId(map.name)]
+      .filter(Boolean)
+      .forEach(key => mapsByKey.set(key, entry));
+  });
+
+  const weapons = new Map();
+  (content.equips || []).forEach(equip => {
+    weapons.set(lowerId(equip.id), {
+      id: lowerId(equip.id),
+      name: displayName(equip, locale),
+      englishName: equip.name,
+      assetName: equip.assetName
+    });
+  });
+
+  const gameModes = new Map();
+  (content.gameModes || []).forEach(mode => {
+    gameModes.set(lowerId(mode.id), {
+      id: lowerId(mode.id),
+      name: displayName(mode, locale),
+      assetName: mode.assetName,
+      assetPath: mode.assetPath || null
+    });
+  });
+
+  const flatActs = flattenActs(content.acts);
+  const episodes = new Map();
+  flatActs.filter(act => act.type === 'episode').forEach(episode => {
+    episodes.set(lowerId(episode.id), episode);
+  });
+
+  const acts = new Map();
+  flatActs.filter(act => act.type === 'act').forEach(act => {
+    const episode = act.parentId ? episodes.get(lowerId(act.parentId)) : null;
+    acts.set(lowerId(act.id), {
+      id: lowerId(act.id),
+      name: displayName(act, locale),
+      episodeId: episode ? lowerId(episode.id) : null,
+      episodeName: episode ? displayName(episode, locale) : null,
+      isActive: !!act.isActive
+    });
+  });
+
+  return {
+    region,
+    locale,
+    version: content.version || null,
+    loadedAt: new Date(),
+    agents,
+    agentsByKey,
+    maps,
+    mapsByKey,
+    weapons,
+    gameModes,
+    acts
+  };
+}
+
+class ContentCatalog {
+  constructor(riotAPI) {
+    this.riotAPI = riotAPI;
+    this.catalogs = new Map();
+  }
+
+  // Get the catalog for a region and locale, rebuilding it when the content version moves on
+  async load(region = 'eu', locale = DEFAULT_LOCALE) {
+    const content = await this.riotAPI.getContent(region);
+    const key = `${region}:${locale}`;
+    const cached = this.catalogs.get(key);
+
+    if (cached && cached.version === (content.version || null)) {
+      return cached;
+    }
+
+    const catalog = buildCatalog(content, region, locale);
+    this.catalogs.set(key, catalog);
+    return catalog;
+  }
+
+  // Like load(), but never fails; enrichment just falls back to raw IDs
+  async tryLoad(region, locale) {
+    try {
+      return await this.load(region, locale);
+    } catch (error) {
+      console.error('Content catalog unavailable:', error.message);
+      return null;
+    }
+  }
+
+  list(catalog, kind) {
+    return Array.from(catalog[kind].values());
+  }
+
+  agent(catalog, idOrName) {
+    return catalog?.agentsByKey.get(lowerId(idOrName)) || null;
+  }
+
+  map(catalog, idPathOrName) {
+    return catalog?.mapsByKey.get(lowerId(idPathOrName)) || null;
+  }
+
+  weapon(catalog, id) {
+    return catalog?.weapons.get(lowerId(id)) || null;
+  }
+
+  act(catalog, id) {
+    return catalog?.acts.get(lowerId(id)) || null;
+  }
+
+  // Add display names and roles to agent/map/weapon keyed statistics (Statistics documents and
+  // calculatePlayerStats output alike)
+  enrichStats(stats, catalog) {
+    if (!stats || !catalog) return stats;
+
+    const enrichGroup = (group, lookup) => {
+      if (!group) return group;
+      const enriched = {};
+      Object.keys(group).forEach(key => {
+        const entry = lookup(key);
+        enriched[key] = {
+          ...group[key],
+          name: entry?.name || group[key].name || key,
+          ...(entry && entry.role !== undefined ? { role: entry.role } : {})
+        };
+      });
+      return enriched;
+    };
+
+    const agentLookup = key => this.agent(catalog, key);
+    const mapLookup = key => this.map(catalog, key);
+
+    return {
+      ...stats,
+      ...(stats.agentStats ? { agentStats: enrichGroup(stats.agentStats, agentLookup) } : {}),
+      ...(stats.mapStats ? { mapStats: enrichGroup(stats.mapStats, mapLookup) } : {}),
+      ...(stats.agents ? { agents: enrichGroup(stats.agents, agentLookup) } : {}),
+      ...(stats.maps ? { maps: enrichGroup(stats.maps, mapLookup) } : {}),
+      ...(stats.weapons ? { weapons: enrichGroup(stats.weapons, key => this.weapon(catalog, key)) } : {})
+    };
+  }
+
+  // Add names to per-weapon stat lists; ability, spike and fall kills keep their damage type
+  enrichWeapons(weapons, catalog) {
+    return weapons.map(entry => ({
+      ...entry,
+      name: this.weapon(catalog, entry.weaponId)?.name || entry.weaponId
+    }));
+  }
+
+  // Add names to stored Match rows
+  enrichRows(rows, catalog) {
+    if (!catalog) return rows;
+    return rows.map(row => {
+      const agent = this.agent(catalog, row.agentId || row.agent);
+      const map = this.map(catalog, row.mapId || row.map);
+      return {
+        ...row,
+        agentName: agent?.name || row.agent,
+        agentRole: agent?.role || null,
+        mapName: map?.name || row.map
+      };
+    });
+  }
+
+  // Add names to a normalized match
+  enrichMatch(match, catalog) {
+    if (!match || !catalog) return match;
+    const map = this.map(catalog, match.mapId || match.mapName);
+    return {
+      ...match,
+      mapName: map?.name || match.mapName,
+      players: match.players.map(player => {
+        const agent = this.agent(catalog, player.agentId);
+        return {
+          ...player,
+          agentName: agent?.name || player.agentName,
+          agentRole: agent?.role || null
+        };
+      })
+    };
+  }
+}
+
+ContentCatalog.AGENT_ROLES = AGENT_ROLES;
+ContentCatalog.flattenActs = flattenActs;
+
+module.exports = ContentCatalog;
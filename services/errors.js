@@ -0,0 +1,97 @@
+// Typed errors with stable codes; middleware/errorHandler turns them into JSON responses
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', code = 'NOT_FOUND') {
+    super(message, { status: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 409, code });
+  }
+}
+
+// Riot is throttling us; the caller should back off, it did nothing wrong
+class UpstreamRateLimitedError extends AppError {
+  constructor(retryAfter = null) {
+    super('Riot API rate limit reached, try again shortly', {
+      status: 503,
+      code: 'UPSTREAM_RATE_LIMITED',
+      details: retryAfter ? { retryAfter } : null
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Riot rejected our API key (expired development keys do this daily); not the user's fault
+class UpstreamAuthFailedError extends AppError {
+  constructor() {
+    super('Riot API rejected the server\'s API key', { status: 502, code: 'UPSTREAM_AUTH_FAILED' });
+  }
+}
+
+class UpstreamError extends AppError {
+  constructor(message = 'Riot API is unavailable', status = 502) {
+    super(message, { status, code: 'UPSTREAM_UNAVAILABLE' });
+  }
+}
+
+// Map an axios error from a Riot request onto a typed error; anything else passes through
+function fromUpstream(error) {
+  if (error instanceof AppError || !error.isAxiosError) return error;
+
+  const status = error.response?.status;
+  const message = error.response?.data?.status?.message;
+
+  if (status === 401 || status === 403) return new UpstreamAuthFailedError();
+  if (status === 429) {
+    const retryAfter = Number(error.response.headers?.['retry-after']) || null;
+    return new UpstreamRateLimitedError(retryAfter);
+  }
+  if (status === 404) return new NotFoundError(message || 'Not found on the Riot API', 'UPSTREAM_NOT_FOUND');
+  if (status === 400) return new ValidationError(message || 'Riot API rejected the request');
+  if (!status) return new UpstreamError('Could not reach the Riot API', 504);
+  return new UpstreamError(message || `Riot API error (${status})`);
+}
+
+// Anything thrown -> AppError; plain errors with a numeric status keep it
+function toAppError(error) {
+  const mapped = fromUpstream(error);
+  if (mapped instanceof AppError) return mapped;
+  if (mapped.type === 'entity.parse.failed') return new ValidationError('Request body is not valid JSON');
+
+  const status = Number(mapped.status) || 500;
+  return new AppError(status < 500 ? mapped.message : 'Internal server error', {
+    status,
+    code: status < 500 ? 'REQUEST_FAILED' : 'INTERNAL_ERROR'
+  });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UpstreamRateLimitedError,
+  UpstreamAuthFailedError,
+  UpstreamError,
+  fromUpstream,
+  toAppError
+};
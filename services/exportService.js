@@ -0,0 +1,296 @@
+const { User, Match } = require('../models');
+const { NotFoundError } = require('./errors');
+
+// Chunks handed to the response are at least this big, instead of one write per row
+const CHUNK_BYTES = 64 * 1024;
+// Rows per row group in the columnar format
+const ROW_GROUP_SIZE = 1000;
+
+const ratio = (part, whole, scale = 1) => (whole > 0 ? Math.round((part / whole) * scale * 100) / 100 : null);
+
+function result(row) {
+  if (row.won) return 'win';
+  return row.draw ? 'draw' : 'loss';
+}
+
+// Columns per dataset; types are the ones named in the columnar schema
+const MATCH_COLUMNS = [
+  { name: 'date', type: 'timestamp', value: row => row.gameStartTime },
+  { name: 'matchId', type: 'string', value: row => row.matchId },
+  { name: 'map', type: 'string', value: row => row.mapName },
+  { name: 'mode', type: 'string', value: row => row.mode },
+  { name: 'queue', type: 'string', value: row => row.queueId },
+  { name: 'agent', type: 'string', value: row => row.agentName },
+  { name: 'kills', type: 'int32', value: row => row.kills },
+  { name: 'deaths', type: 'int32', value: row => row.deaths },
+  { name: 'assists', type: 'int32', value: row => row.assists },
+  { name: 'score', type: 'int32', value: row => row.score },
+  { name: 'headshots', type: 'int32', value: row => row.headshots },
+  { name: 'bodyshots', type: 'int32', value: row => row.bodyshots },
+  { name: 'legshots', type: 'int32', value: row => row.legshots },
+  {
+    name: 'headshotPercentage',
+    type: 'double',
+    value: row => ratio(row.headshots, row.headshots + row.bodyshots + row.legshots, 100)
+  },
+  { name: 'roundsWon', type: 'int32', value: row => row.roundsWon },
+  { name: 'roundsLost', type: 'int32', value: row => row.roundsLost },
+  { name: 'roundsPlayed', type: 'int32', value: row => row.roundsPlayed },
+  { name: 'result', type: 'string', value: result }
+];
+
+function aggregateColumns(key) {
+  return [
+    { name: key, type: 'string', value: row => row.name },
+    { name: 'matches', type: 'int32', value: row => row.matches },
+    { name: 'wins', type: 'int32', value: row => row.wins },
+    { name: 'losses', type: 'int32', value: row => row.matches - row.wins - row.draws },
+    { name: 'draws', type: 'int32', value: row => row.draws },
+    { name: 'winRate', type: 'double', value: row => ratio(row.wins, row.matches, 100) },
+    { name: 'kills', type: 'int32', value: row => row.kills },
+    { name: 'deaths', type: 'int32', value: row => row.deaths },
+    { name: 'assists', type: 'int32', value: row => row.assists },
+    { name: 'kd', type: 'double', value: row => ratio(row.kills, row.deaths) ?? row.kills },
+    { name: 'averageScore', type: 'double', value: row => ratio(row.score, row.matches) },
+    { name: 'headshots', type: 'int32', value: row => row.headshots },
+    { name: 'bodyshots', type: 'int32', value: row => row.bodyshots },
+    { name: 'legshots', type: 'int32', value: row => row.legshots },
+    {
+      name: 'headshotPercentage',
+      type: 'double',
+      value: row => ratio(row.headshots, row.headshots + row.bodyshots + row.legshots, 100)
+    },
+    { name: 'roundsWon', type: 'int32', value: row => row.roundsWon },
+    { name: 'roundsLost', type: 'int32', value: row => row.roundsLost }
+  ];
+}
+
+// Aggregate datasets: what rows are grouped by, and the stored name to fall back on when the
+// content catalog doesn't know the group. Agents go by ID, as rows from official matches
+// carry no agent name.
+const GROUPS = {
+  agent: {
+    key: { $ifNull: ['$agentId', '$agent'] },
+    label: { $max: { $cond: [{ $ne: ['$agent', '$agentId'] }, '$agent', null] } }
+  },
+  map: {
+    key: '$map',
+    label: { $first: '$map' }
+  }
+};
+
+const DATASETS = {
+  matches: MATCH_COLUMNS,
+  agents: aggregateColumns('agent'),
+  maps: aggregateColumns('map')
+};
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Each writer turns records into text: start() once, write() per record, end() once
+class CsvWriter {
+  constructor(columns) {
+    this.columns = columns;
+  }
+
+  start() {
+    return `${this.columns.map(column => column.name).join(',')}\r\n`;
+  }
+
+  write(record) {
+    return `${this.columns.map(column => csvValue(record[column.name])).join(',')}\r\n`;
+  }
+
+  end() {
+    return '';
+  }
+}
+
+class JsonLinesWriter {
+  start() {
+    return '';
+  }
+
+  write(record) {
+    return `${JSON.stringify(record)}\n`;
+  }
+
+  end() {
+    return '';
+  }
+}
+
+// Parquet-style layout in JSON: a schema, then row groups holding one array per column
+class ColumnarWriter {
+  constructor(columns, metadata) {
+    this.columns = columns;
+    this.metadata = metadata;
+    this.group = null;
+    this.groups = 0;
+    this.rowCount = 0;
+  }
+
+  start() {
+    const schema = {
+      fields: this.columns.map(column => ({ name: column.name, type: column.type, nullable: true }))
+    };
+    return `{"format":"columnar","version":1,"metadata":${JSON.stringify(this.metadata)},` +
+      `"schema":${JSON.stringify(schema)},"rowGroups":[`;
+  }
+
+  write(record) {
+    if (!this.group) {
+      this.group = { rowCount: 0, columns: {} };
+      this.columns.forEach(column => {
+        this.group.columns[column.name] = [];
+      });
+    }
+
+    this.columns.forEach(column => this.group.columns[column.name].push(record[column.name] ?? null));
+    this.group.rowCount++;
+    this.rowCount++;
+    return this.group.rowCount >= ROW_GROUP_SIZE ? this.flush() : '';
+  }
+
+  flush() {
+    if (!this.group) return '';
+    const text = `${this.groups > 0 ? ',' : ''}${JSON.stringify(this.group)}`;
+    this.group = null;
+    this.groups++;
+    return text;
+  }
+
+  end() {
+    return `${this.flush()}],"rowCount":${this.rowCount}}`;
+  }
+}
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', writer: columns => new CsvWriter(columns) },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl', writer: () => new JsonLinesWriter() },
+  columnar: {
+    contentType: 'application/json',
+    extension: 'columnar.json',
+    writer: (columns, metadata) => new ColumnarWriter(columns, metadata)
+  }
+};
+
+// Streams a player's stored Match rows, or per-agent / per-map aggregates of them, as
+// CSV, JSON Lines or a columnar JSON document, reading from a database cursor
+class ExportService {
+  constructor(contentCatalog) {
+    this.contentCatalog = contentCatalog;
+  }
+
+  filter(puuid, { from, to, queue } = {}) {
+    const query = { puuid };
+    if (from) query.gameStartTime = { $gte: from };
+    if (to) query.gameStartTime = { ...query.gameStartTime, $lt: to };
+    if (queue) query.$or = [{ queueId: queue.toLowerCase() }, { mode: queue }];
+    return query;
+  }
+
+  // Fails before anything is streamed, so unknown players still get a JSON 404
+  async prepare(puuid) {
+    const user = await User.findOne({ puuid }).select('platformRegion').lean();
+    if (!user && !await Match.exists({ puuid })) {
+      throw new NotFoundError('Player not found', 'PLAYER_NOT_FOUND');
+    }
+    return await this.contentCatalog.tryLoad(user?.platformRegion || 'eu');
+  }
+
+  matchCursor(query) {
+    return Match.find(query)
+      .sort({ gameStartTime: 1 })
+      .select('gameStartTime matchId map mapId mode queueId agent agentId kills deaths assists score ' +
+        'headshots bodyshots legshots roundsWon roundsLost roundsPlayed won draw')
+      .lean()
+      .cursor();
+  }
+
+  aggregateCursor(query, key) {
+    return Match.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: GROUPS[key].key,
+          label: GROUPS[key].label,
+          matches: { $sum: 1 },
+          wins: { $sum: { $cond: ['$won', 1, 0] } },
+          draws: { $sum: { $cond: ['$draw', 1, 0] } },
+          kills: { $sum: '$kills' },
+          deaths: { $sum: '$deaths' },
+          assists: { $sum: '$assists' },
+          score: { $sum: '$score' },
+          headshots: { $sum: '$headshots' },
+          bodyshots: { $sum: '$bodyshots' },
+          legshots: { $sum: '$legshots' },
+          roundsWon: { $sum: '$roundsWon' },
+          roundsLost: { $sum: '$roundsLost' }
+        }
+      },
+      { $sort: { matches: -1, _id: 1 } }
+    ]).cursor();
+  }
+
+  async *records(puuid, dataset, filters, catalog) {
+    const query = this.filter(puuid, filters);
+    const columns = DATASETS[dataset];
+
+    if (dataset === 'matches') {
+      for await (const row of this.matchCursor(query)) {
+        const agent = this.contentCatalog.agent(catalog, row.agentId || row.agent);
+        const map = this.contentCatalog.map(catalog, row.mapId || row.map);
+        const named = { ...row, agentName: agent?.name || row.agent, mapName: map?.name || row.map };
+        yield Object.fromEntries(columns.map(column => [column.name, column.value(named)]));
+      }
+      return;
+    }
+
+    const key = dataset === 'agents' ? 'agent' : 'map';
+    for await (const group of this.aggregateCursor(query, key)) {
+      const entry = key === 'agent' ? this.contentCatalog.agent(catalog, group._id) : this.contentCatalog.map(catalog, group._id);
+      const named = { ...group, name: entry?.name || group.label || group._id };
+      yield Object.fromEntries(columns.map(column => [column.name, column.value(named)]));
+    }
+  }
+
+  // Text chunks of the whole export; stopping the iteration closes the database cursor
+  async *stream(puuid, { dataset = 'matches', format = 'csv', ...filters }, catalog) {
+    const writer = FORMATS[format].writer(DATASETS[dataset], {
+      puuid,
+      dataset,
+      from: filters.from || null,
+      to: filters.to || null,
+      queue: filters.queue || null,
+      generatedAt: new Date()
+    });
+
+    let buffer = writer.start();
+    for await (const record of this.records(puuid, dataset, filters, catalog)) {
+      buffer += writer.write(record);
+      if (buffer.length >= CHUNK_BYTES) {
+        yield buffer;
+        buffer = '';
+      }
+    }
+    yield buffer + writer.end();
+  }
+
+  describe(format, dataset, puuid) {
+    const { contentType, extension } = FORMATS[format];
+    return {
+      contentType,
+      filename: `${puuid}-${dataset}.${extension}`
+    };
+  }
+}
+
+ExportService.FORMATS = Object.keys(FORMATS);
+ExportService.DATASETS = Object.keys(DATASETS);
+
+module.exports = ExportService;
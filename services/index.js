@@ -0,0 +1,141 @@
+const RiotAPIService = require('./riotAPI');
+const MatchIngestionService = require('./matchIngestion');
+const MatchListService = require('./matchListService');
+const RankService = require('./rankService');
+const StatisticsService = require('./statisticsService');
+const PlayerRefreshService = require('./playerRefresh');
+const JobScheduler = require('./jobScheduler');
+const AuthService = require('./authService');
+const RiotSignOnService = require('./riotSignOn');
+const ComparisonService = require('./comparisonService');
+const ContentCatalog = require('./contentCatalog');
+const LeaderboardService = require('./leaderboardService');
+const RegionService = require('./regionService');
+const SearchService = require('./searchService');
+const KeyPool = require('./keyPool');
+const LiveUpdates = require('./liveUpdates');
+const NotificationService = require('./notificationService');
+const ExportService = require('./exportService');
+const MetaService = require('./metaService');
+const { createCache } = require('./cache');
+
+const minutes = (value, fallback) => (parseFloat(value) || fallback) * 60 * 1000;
+const seconds = (value, fallback) => (parseFloat(value) || fallback) * 1000;
+const days = (value, fallback) => minutes(value, fallback) * 24 * 60;
+
+// Shared service instances
+const cache = createCache();
+const riotAPI = new RiotAPIService(KeyPool.fromEnv(), { cache });
+const contentCatalog = new ContentCatalog(riotAPI);
+const regionService = new RegionService(riotAPI);
+const searchService = new SearchService(riotAPI);
+const liveUpdates = new LiveUpdates({
+  maxSubscriptions: parseInt(process.env.LIVE_MAX_SUBSCRIPTIONS) || 20,
+  maxConnections: parseInt(process.env.LIVE_MAX_CONNECTIONS) || 1000
+});
+const statisticsService = new StatisticsService();
+const matchListService = new MatchListService(riotAPI, {
+  detailBatchSize: parseInt(process.env.MATCH_DETAIL_BATCH_SIZE) || 5
+});
+const matchIngestion = new MatchIngestionService(riotAPI, statisticsService, liveUpdates, matchListService);
+const rankService = new RankService(riotAPI, liveUpdates);
+const playerRefresh = new PlayerRefreshService(
+  { riotAPI, matchIngestion, rankService },
+  {
+    batchSize: parseInt(process.env.REFRESH_BATCH_SIZE) || 5,
+    staleAfterMs: minutes(process.env.REFRESH_STALE_MINUTES, 30),
+    followedStaleAfterMs: seconds(process.env.LIVE_POLL_INTERVAL_SECONDS, 60),
+    matchCount: parseInt(process.env.REFRESH_MATCH_COUNT) || 10
+  }
+);
+
+const riotSignOn = new RiotSignOnService({
+  clientId: process.env.RSO_CLIENT_ID,
+  clientSecret: process.env.RSO_CLIENT_SECRET,
+  redirectUri: process.env.RSO_REDIRECT_URI
+});
+const authService = new AuthService({ riotSignOn });
+const comparisonService = new ComparisonService(riotAPI, matchIngestion, contentCatalog);
+const exportService = new ExportService(contentCatalog);
+const metaRefreshMs = minutes(process.env.META_REFRESH_INTERVAL_MINUTES, 60);
+const metaService = new MetaService({ contentCatalog }, {
+  // Snapshots are recomputed on request once the job has missed a couple of runs
+  staleAfterMs: metaRefreshMs * 2,
+  keepRequestedMs: days(process.env.META_KEEP_REQUESTED_DAYS, 7)
+});
+const leaderboardCrawlMs = minutes(process.env.LEADERBOARD_CRAWL_INTERVAL_MINUTES, 1440);
+const leaderboardService = new LeaderboardService(
+  { riotAPI, contentCatalog, liveUpdates },
+  {
+    regions: (process.env.LEADERBOARD_REGIONS || 'eu,na,ap,kr').split(',').map(region => region.trim()).filter(Boolean),
+    snapshotSize: parseInt(process.env.LEADERBOARD_SNAPSHOT_SIZE) || 1000,
+    keepFullCrawls: parseInt(process.env.LEADERBOARD_KEEP_CRAWLS) || 2,
+    // A crawl can't still be running once the next one is due
+    incompleteAfterMs: leaderboardCrawlMs
+  }
+);
+const notificationService = new NotificationService(
+  { riotAPI, contentCatalog, liveUpdates },
+  {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    allowHttp: process.env.WEBHOOK_ALLOW_HTTP === 'true',
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+  }
+);
+notificationService.start();
+
+// Background jobs
+const jobScheduler = new JobScheduler();
+jobScheduler.register('refresh-players', {
+  description: 'Re-poll tracked players\' match lists, stalest first',
+  intervalMs: minutes(process.env.REFRESH_INTERVAL_MINUTES, 5),
+  handler: payload => playerRefresh.run(payload)
+});
+jobScheduler.register('live-players', {
+  description: 'Poll players followed over live connections or webhooks for new matches',
+  intervalMs: seconds(process.env.LIVE_POLL_INTERVAL_SECONDS, 60),
+  handler: async () => playerRefresh.runFollowed([
+    ...new Set([...liveUpdates.followedPuuids(), ...await notificationService.watchedPuuids()])
+  ])
+});
+jobScheduler.register('webhook-deliveries', {
+  description: 'Send queued webhook notifications and retry failed ones',
+  intervalMs: seconds(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS, 15),
+  handler: () => notificationService.processPending()
+});
+jobScheduler.register('leaderboard-snapshots', {
+  description: 'Store the current act\'s leaderboard for each configured region',
+  intervalMs: minutes(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_MINUTES, 360),
+  handler: () => leaderboardService.snapshotAll()
+});
+jobScheduler.register('meta-stats', {
+  description: 'Backfill older Match rows, then recompute agent, map and weapon meta statistics',
+  intervalMs: metaRefreshMs,
+  handler: async () => ({ backfilled: await matchIngestion.backfillRows(), ...await metaService.refreshAll() })
+});
+jobScheduler.register('leaderboard-crawl', {
+  description: 'Crawl every leaderboard page for each configured region into the search index',
+  intervalMs: leaderboardCrawlMs,
+  handler: payload => leaderboardService.crawlAll(payload)
+});
+
+module.exports = {
+  cache,
+  riotAPI,
+  contentCatalog,
+  regionService,
+  searchService,
+  liveUpdates,
+  notificationService,
+  matchListService,
+  matchIngestion,
+  rankService,
+  statisticsService,
+  playerRefresh,
+  jobScheduler,
+  authService,
+  comparisonService,
+  exportService,
+  metaService,
+  leaderboardService
+};
@@ -0,0 +1,144 @@
+const { JobState } = require('../models');
+const { NotFoundError, ConflictError } = require('./errors');
+
+// Runs registered jobs on an interval, persisting their state in the JobState collection
+class JobScheduler {
+  constructor(options = {}) {
+    this.tickMs = options.tickMs || 5000;
+    this.jobs = new Map();
+    this.timer = null;
+  }
+
+  register(name, { intervalMs, handler, description = '' }) {
+    this.jobs.set(name, {
+      name,
+      description,
+      intervalMs,
+      handler,
+      running: false,
+      state: {
+        name,
+        paused: false,
+        intervalMs,
+        nextRunAt: new Date(Date.now() + intervalMs),
+        runCount: 0,
+        failureCount: 0
+      }
+    });
+  }
+
+  // Load persisted state and start ticking; jobs overdue from before a restart run right away
+  async start() {
+    for (const job of this.jobs.values()) {
+      try {
+        const stored = await JobState.findOne({ name: job.name }).lean();
+        if (stored) {
+          job.state = { ...job.state, ...stored, intervalMs: job.intervalMs };
+        }
+        await this.persist(job);
+      } catch (error) {
+        console.error(`Could not load state for job ${job.name}:`, error.message);
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    console.log(`✓ Job scheduler started (${this.jobs.size} jobs)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  tick() {
+    const now = Date.now();
+    this.jobs.forEach(job => {
+      if (job.running || job.state.paused) return;
+      if (new Date(job.state.nextRunAt).getTime() <= now) {
+        this.run(job);
+      }
+    });
+  }
+
+  async run(job, payload = {}) {
+    job.running = true;
+    job.state.lastRunAt = new Date();
+    await this.persist(job);
+
+    try {
+      job.state.lastResult = await job.handler(payload);
+      job.state.lastError = null;
+      job.state.runCount++;
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      job.state.lastError = error.message;
+      job.state.failureCount++;
+    } finally {
+      job.running = false;
+      job.state.lastFinishedAt = new Date();
+      job.state.nextRunAt = new Date(Date.now() + job.intervalMs);
+      await this.persist(job);
+    }
+
+    return job.state.lastResult;
+  }
+
+  async persist(job) {
+    const { _id, __v, createdAt, updatedAt, ...state } = job.state;
+    try {
+      await JobState.updateOne({ name: job.name }, { $set: state }, { upsert: true });
+    } catch (error) {
+      console.error(`Could not persist state for job ${job.name}:`, error.message);
+    }
+  }
+
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new NotFoundError(`Unknown job: ${name}`, 'JOB_NOT_FOUND');
+    }
+    return job;
+  }
+
+  async pause(name) {
+    const job = this.getJob(name);
+    job.state.paused = true;
+    await this.persist(job);
+    return this.describe(job);
+  }
+
+  async resume(name) {
+    const job = this.getJob(name);
+    job.state.paused = false;
+    await this.persist(job);
+    return this.describe(job);
+  }
+
+  // Start a run now without waiting for it to finish
+  trigger(name, payload = {}) {
+    const job = this.getJob(name);
+    if (job.running) {
+      throw new ConflictError(`Job ${name} is already running`, 'JOB_RUNNING');
+    }
+    this.run(job, payload);
+    return this.describe(job);
+  }
+
+  describe(job) {
+    const { _id, __v, ...state } = job.state;
+    return {
+      ...state,
+      description: job.description,
+      running: job.running
+    };
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => this.describe(job));
+  }
+}
+
+module.exports = JobScheduler;
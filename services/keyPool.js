@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Short stable ID for a key, so it can be referred to without repeating the secret
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function maskKey(key) {
+  return key.length > 10 ? `${key.slice(0, 6)}…${key.slice(-4)}` : '…';
+}
+
+// Riot API keys in priority order. Requests use the first usable key; a key Riot rejects
+// is marked invalid and the next one takes over. Keys only live in memory: the pool is
+// rebuilt from the environment on restart, and admins can swap keys at runtime.
+class KeyPool {
+  constructor(keys = [], options = {}) {
+    // Development keys expire a day after they're issued
+    this.defaultTtlMs = options.defaultTtlMs ?? null;
+    this.keys = [];
+    keys.forEach(key => this.add(key));
+  }
+
+  // Keys from RIOT_API_KEYS (comma separated), falling back to RIOT_API_KEY
+  static fromEnv(env = process.env) {
+    const keys = (env.RIOT_API_KEYS || env.RIOT_API_KEY || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+    const ttlHours = parseFloat(env.RIOT_API_KEY_TTL_HOURS);
+    const pool = new KeyPool([], { defaultTtlMs: ttlHours > 0 ? ttlHours * HOUR_MS : null });
+    const expiresAt = env.RIOT_API_KEY_EXPIRES_AT ? new Date(env.RIOT_API_KEY_EXPIRES_AT) : null;
+    keys.forEach(key => pool.add(key, { expiresAt }));
+    return pool;
+  }
+
+  // Add a key (or refresh one already in the pool); primary keys go to the front
+  add(key, { label = null, expiresAt = null, primary = false } = {}) {
+    const value = typeof key === 'string' ? key.trim() : '';
+    if (!value) {
+      throw new ValidationError('API key must be a non-empty string');
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      throw new ValidationError('expiresAt must be a date');
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: keyId(value),
+      key: value,
+      label,
+      status: 'unknown',
+      addedAt: new Date(now),
+      expiresAt: expiresAt
+        ? new Date(expiresAt)
+        : this.defaultTtlMs ? new Date(now + this.defaultTtlMs) : null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastFailureStatus: null,
+      requests: 0,
+      failures: 0
+    };
+
+    this.keys = this.keys.filter(existing => existing.id !== entry.id);
+    if (primary) {
+      this.keys.unshift(entry);
+    } else {
+      this.keys.push(entry);
+    }
+    return this.describeKey(entry);
+  }
+
+  remove(id) {
+    const before = this.keys.length;
+    this.keys = this.keys.filter(entry => entry.id !== id);
+    return this.keys.length < before;
+  }
+
+  // Swap the whole pool at once, e.g. after generating a fresh development key
+  replace(keys) {
+    const previous = this.keys;
+    this.keys = [];
+    try {
+      keys.forEach(key => (typeof key === 'string' ? this.add(key) : this.add(key.key, key)));
+    } catch (error) {
+      this.keys = previous;
+      throw error;
+    }
+    return this.describe();
+  }
+
+  // Let a key marked invalid be tried again
+  reset(id) {
+    const entry = this.keys.find(key => key.id === id);
+    if (!entry) return null;
+    entry.status = 'unknown';
+    return this.describeKey(entry);
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt.getTime() <= now;
+  }
+
+  usable(entry) {
+    return entry.status !== 'invalid';
+  }
+
+  // The next key to try in priority order, skipping any already tried for this request.
+  // Expiry dates are estimates, so keys past theirs are still tried, just last.
+  next(tried = new Set()) {
+    const now = Date.now();
+    const candidates = this.keys.filter(entry => !tried.has(entry.id) && this.usable(entry));
+    return candidates.find(entry => !this.isExpired(entry, now)) || candidates[0] || null;
+  }
+
+  recordSuccess(entry) {
+    entry.requests++;
+    entry.status = 'valid';
+    entry.lastSuccessAt = new Date();
+  }
+
+  recordFailure(entry, status) {
+    entry.requests++;
+    entry.failures++;
+    entry.lastFailureAt = new Date();
+    entry.lastFailureStatus = status;
+  }
+
+  markInvalid(entry, status) {
+    entry.status = 'invalid';
+    entry.lastFailureStatus = status;
+  }
+
+  // Rejected, but it may be the endpoint rather than the key; still tried
+  markSuspect(entry) {
+    if (entry.status !== 'invalid') entry.status = 'suspect';
+  }
+
+  describeKey(entry, { withMaskedKey = false } = {}) {
+    const now = Date.now();
+    return {
+      id: entry.id,
+      label: entry.label,
+      ...(withMaskedKey ? { key: maskKey(entry.key) } : {}),
+      status: entry.status,
+      expired: this.isExpired(entry, now),
+      expiresAt: entry.expiresAt,
+      expiresInMs: entry.expiresAt ? Math.max(entry.expiresAt.getTime() - now, 0) : null,
+      lastSuccessAt: entry.lastSuccessAt,
+      lastFailureAt: entry.lastFailureAt,
+      lastFailureStatus: entry.lastFailureStatus,
+      requests: entry.requests,
+      failures: entry.failures
+    };
+  }
+
+  describe(options = {}) {
+    return this.keys.map(entry => this.describeKey(entry, options));
+  }
+
+  summary() {
+    const keys = this.describe();
+    return {
+      total: keys.length,
+      usable: this.keys.filter(entry => this.usable(entry)).length,
+      active: this.next()?.id || null,
+      keys
+    };
+  }
+}
+
+KeyPool.keyId = keyId;
+
+module.exports = KeyPool;
@@ -0,0 +1,533 @@
+const { User, LeaderboardSnapshot, LeaderboardEntry } = require('../models');
+const { AppError, NotFoundError, ValidationError } = require('./errors');
+
+// Riot caps leaderboard pages at 200 entries
+const PAGE_SIZE = 200;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cursors pin a search to the snapshot it started on, so a new crawl can't shift the pages
+function encodeCursor(snapshotId, rank) {
+  return Buffer.from(`${snapshotId}:${rank}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [snapshotId, rank] = Buffer.from(cursor, 'base64url').toString().split(':');
+  if (!/^[0-9a-f]{24}$/.test(snapshotId || '') || isNaN(parseInt(rank))) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return { snapshotId, rank: parseInt(rank) };
+}
+
+// Stores leaderboard snapshots per region and act, and serves past acts, movement and player history
+class LeaderboardService {
+  constructor({ riotAPI, contentCatalog, liveUpdates = null }, options = {}) {
+    this.riotAPI = riotAPI;
+    this.contentCatalog = contentCatalog;
+    this.liveUpdates = liveUpdates;
+
+    this.regions = options.regions || ['eu', 'na', 'ap', 'kr'];
+    this.snapshotSize = options.snapshotSize || 1000;
+    this.minBudget = options.minBudget ?? 0.3;
+    // Full crawls kept per region and act; older ones (and their entries) are pruned
+    this.keepFullCrawls = options.keepFullCrawls || 2;
+    // A snapshot still incomplete after this long belongs to a crawl that died mid-way
+    this.incompleteAfterMs = options.incompleteAfterMs || 24 * 60 * 60 * 1000;
+  }
+
+  // Resolve actId / episode (+ act) query values to an act from the content catalog;
+  // episode and act accept either an ID or a name ("Episode 9", "Act 2")
+  async resolveAct(region, { actId, episode, act } = {}) {
+    const catalog = await this.contentCatalog.load(region);
+    const acts = this.contentCatalog.list(catalog, 'acts');
+    const matches = (value, id, name) => value && (
+      id === value.toLowerCase() || (name && name.toLowerCase() === value.toLowerCase())
+    );
+
+    if (actId) {
+      return this.contentCatalog.act(catalog, actId) || { id: actId.toLowerCase(), name: null, episodeId: null, episodeName: null };
+    }
+
+    if (episode) {
+      const inEpisode = acts.filter(entry => matches(episode, entry.episodeId, entry.episodeName));
+      const found = act
+        ? inEpisode.find(entry => matches(act, entry.id, entry.name))
+        : inEpisode.find(entry => entry.isActive) || inEpisode[inEpisode.length - 1];
+
+      if (!found) {
+        throw new NotFoundError(`No act found for episode "${episode}"${act ? ` and act "${act}"` : ''}`, 'ACT_NOT_FOUND');
+      }
+      return found;
+    }
+
+    const current = acts.find(entry => entry.isActive);
+    if (!current) {
+      throw new NotFoundError('Could not find current competitive act', 'ACT_NOT_FOUND');
+    }
+    return current;
+  }
+
+  // Whether background crawls may spend more of the Riot API budget
+  hasBudget() {
+    return this.riotAPI.scheduler.remainingBudget() >= this.minBudget;
+  }
+
+  // Crawl a region's leaderboard page by page into a snapshot: the top snapshotSize entries,
+  // or every page when full is set. Readers only see it once it's marked complete. Each page
+  // waits for budget to be left for player requests; when it runs low the crawl is dropped
+  // with a BUDGET_EXHAUSTED error and left for a later run.
+  async takeSnapshot(region, actId = null, { full = false } = {}) {
+    const act = actId ? { id: actId.toLowerCase() } : await this.resolveAct(region);
+    const snapshot = await LeaderboardSnapshot.create({
+      region,
+      actId: act.id,
+      episodeId: act.episodeId || null,
+      takenAt: new Date(),
+      full,
+      complete: false
+    });
+
+    let limit = full ? Infinity : this.snapshotSize;
+    let entryCount = 0;
+    let page = null;
+
+    try {
+      for (let startIndex = 0; startIndex < limit; startIndex += PAGE_SIZE) {
+        if (!this.hasBudget()) {
+          throw new AppError(`Riot API budget ran low after ${entryCount} ${region} leaderboard entries`, {
+            status: 503,
+            code: 'BUDGET_EXHAUSTED'
+          });
+        }
+        const size = Math.min(PAGE_SIZE, limit - startIndex);
+        page = await this.riotAPI.getLeaderboard(act.id, region, size, startIndex);
+        const players = page.players || [];
+
+        if (players.length > 0) {
+          await LeaderboardEntry.insertMany(players.map(player => ({
+            snapshotId: snapshot._id,
+            region,
+            actId: act.id,
+            takenAt: snapshot.takenAt,
+            ...this.toEntry(player)
+          })), { ordered: false });
+          entryCount += players.length;
+        }
+
+        if (full && page.totalPlayers) limit = page.totalPlayers;
+        if (players.length < size) break;
+      }
+    } catch (error) {
+      // Drop the partial crawl rather than serving a leaderboard with missing pages
+      await LeaderboardEntry.deleteMany({ snapshotId: snapshot._id });
+      await LeaderboardSnapshot.deleteOne({ _id: snapshot._id });
+      throw error;
+    }
+
+    const completed = await LeaderboardSnapshot.findByIdAndUpdate(
+      snapshot._id,
+      {
+        $set: {
+          complete: true,
+          totalPlayers: page?.totalPlayers || entryCount,
+          entryCount,
+          topTierRRThreshold: page?.topTierRRThreshold
+        }
+      },
+      { new: true, lean: true }
+    );
+
+    try {
+      await this.publishMovements(completed);
+    } catch (error) {
+      console.error(`Failed to publish ${region} leaderboard movements:`, error.message);
+    }
+    return completed;
+  }
+
+  // Tell live followers how their players moved since the previous snapshot of the same depth
+  async publishMovements(snapshot) {
+    const followed = this.liveUpdates ? this.liveUpdates.followedPuuids() : [];
+    if (followed.length === 0) return;
+
+    const previous = await LeaderboardSnapshot.findOne({
+      region: snapshot.region,
+      actId: snapshot.actId,
+      full: snapshot.full,
+      complete: { $ne: false },
+      takenAt: { $lt: snapshot.takenAt }
+    }).sort({ takenAt: -1 }).lean();
+    if (!previous) return;
+
+    const select = 'puuid leaderboardRank rankedRating';
+    const [current, earlier] = await Promise.all([
+      LeaderboardEntry.find({ snapshotId: snapshot._id, puuid: { $in: followed } }).select(select).lean(),
+      LeaderboardEntry.find({ snapshotId: previous._id, puuid: { $in: followed } }).select(select).lean()
+    ]);
+    const currentByPuuid = new Map(current.map(entry => [entry.puuid, entry]));
+    const earlierByPuuid = new Map(earlier.map(entry => [entry.puuid, entry]));
+
+    followed.forEach(puuid => {
+      const now = currentByPuuid.get(puuid);
+      const before = earlierByPuuid.get(puuid);
+      if (!now && !before) return;
+      if (now && before && now.leaderboardRank === before.leaderboardRank && now.rankedRating === before.rankedRating) return;
+
+      this.liveUpdates.publish(puuid, 'leaderboard', {
+        region: snapshot.region,
+        actId: snapshot.actId,
+        snapshotId: snapshot._id,
+        takenAt: snapshot.takenAt,
+        leaderboardRank: now ? now.leaderboardRank : null,
+        previousRank: before ? before.leaderboardRank : null,
+        rankChange: now && before ? before.leaderboardRank - now.leaderboardRank : null,
+        rankedRating: now ? now.rankedRating : null,
+        rrChange: now && before ? now.rankedRating - before.rankedRating : null,
+        entered: !before,
+        left: !now
+      });
+    });
+  }
+
+  // Scheduled job: crawl every page of the current act (or the given region/act) into the search
+  // index while there's budget, keeping only the latest keepFullCrawls crawls per region and act
+  async crawlAll({ region, actId } = {}) {
+    const regions = region ? [region] : this.regions;
+    const crawled = [];
+    const errors = [];
+    let deferred = 0;
+    const removed = await this.removeIncomplete();
+
+    for (const target of regions) {
+      if (!this.hasBudget()) {
+        deferred = regions.length - crawled.length - errors.length;
+        break;
+      }
+
+      try {
+        const snapshot = await this.takeSnapshot(target, actId, { full: true });
+        crawled.push({ region: target, actId: snapshot.actId, entries: snapshot.entryCount });
+        removed.pruned += await this.pruneFullCrawls(target, snapshot.actId);
+      } catch (error) {
+        if (error.code === 'BUDGET_EXHAUSTED') {
+          deferred = regions.length - crawled.length - errors.length;
+          break;
+        }
+        console.error(`Failed to crawl ${target} leaderboard:`, error.message);
+        errors.push({ region: target, error: error.message });
+      }
+    }
+
+    return {
+      crawled,
+      errors,
+      deferred,
+      removed
+    };
+  }
+
+  // Delete full crawls of a region and act beyond the newest keepFullCrawls, entries first
+  async pruneFullCrawls(region, actId) {
+    const old = await LeaderboardSnapshot.find({ region, actId, full: true, complete: { $ne: false } })
+      .sort({ takenAt: -1 })
+      .skip(this.keepFullCrawls)
+      .select('_id')
+      .lean();
+    return await this.deleteSnapshots(old.map(snapshot => snapshot._id));
+  }
+
+  // Snapshots left incomplete by a crawl that was interrupted (a restart skips the cleanup in
+  // takeSnapshot); old enough that no running crawl can still be filling them
+  async removeIncomplete() {
+    const stale = await LeaderboardSnapshot.find({
+      complete: false,
+      takenAt: { $lt: new Date(Date.now() - this.incompleteAfterMs) }
+    }).select('_id').lean();
+    return { incomplete: await this.deleteSnapshots(stale.map(snapshot => snapshot._id)), pruned: 0 };
+  }
+
+  async deleteSnapshots(ids) {
+    if (ids.length === 0) return 0;
+    await LeaderboardEntry.deleteMany({ snapshotId: { $in: ids } });
+    const { deletedCount } = await LeaderboardSnapshot.deleteMany({ _id: { $in: ids } });
+    return deletedCount;
+  }
+
+  // Scheduled job: snapshot the current act in every configured region while there's budget
+  async snapshotAll() {
+    const taken = [];
+    const errors = [];
+    let deferred = 0;
+
+    for (const region of this.regions) {
+      if (!this.hasBudget()) {
+        deferred = this.regions.length - taken.length - errors.length;
+        break;
+      }
+
+      try {
+        const snapshot = await this.takeSnapshot(region);
+        taken.push({ region, actId: snapshot.actId, entries: snapshot.entryCount });
+      } catch (error) {
+        if (error.code === 'BUDGET_EXHAUSTED') {
+          deferred = this.regions.length - taken.length - errors.length;
+          break;
+        }
+        console.error(`Failed to snapshot ${region} leaderboard:`, error.message);
+        errors.push({ region, error: error.message });
+      }
+    }
+
+    return {
+      taken,
+      errors,
+      deferred
+    };
+  }
+
+  // Live leaderboard player -> stored entry fields; anonymous players come back without puuid or name
+  toEntry(player) {
+    const anonymous = !player.puuid || !player.gameName;
+    return {
+      puuid: player.puuid || null,
+      gameName: anonymous ? null : player.gameName,
+      tagLine: anonymous ? null : player.tagLine || null,
+      nameKey: anonymous ? null : `${player.gameName}#${player.tagLine || ''}`.toLowerCase(),
+      anonymous,
+      leaderboardRank: player.leaderboardRank,
+      rankedRating: player.rankedRating,
+      numberOfWins: player.numberOfWins,
+      competitiveTier: player.competitiveTier
+    };
+  }
+
+  async latestSnapshot(region, actId, before = null, { full = false } = {}) {
+    const query = { region, actId, complete: { $ne: false } };
+    if (before) query.takenAt = { $lt: before };
+    if (full) query.full = true;
+    return await LeaderboardSnapshot.findOne(query).sort({ takenAt: -1 }).lean();
+  }
+
+  // Rank changes against an earlier snapshot, and the tracked User behind each entry
+  async annotate(entries, previous) {
+    const puuids = entries.map(entry => entry.puuid).filter(Boolean);
+
+    const [users, earlier] = await Promise.all([
+      User.find({ puuid: { $in: puuids } }).select('puuid gameName tagLine').lean(),
+      previous
+        ? LeaderboardEntry.find({ snapshotId: previous._id, puuid: { $in: puuids } })
+          .select('puuid leaderboardRank rankedRating')
+          .lean()
+        : []
+    ]);
+
+    const usersByPuuid = new Map(users.map(user => [user.puuid, user]));
+    const earlierByPuuid = new Map(earlier.map(entry => [entry.puuid, entry]));
+
+    return entries.map(entry => {
+      const user = entry.puuid ? usersByPuuid.get(entry.puuid) : null;
+      const before = entry.puuid ? earlierByPuuid.get(entry.puuid) : null;
+
+      return {
+        ...entry,
+        tracked: !!user,
+        user: user ? { puuid: user.puuid, gameName: user.gameName, tagLine: user.tagLine } : null,
+        movement: previous && entry.puuid ? {
+          previousRank: before ? before.leaderboardRank : null,
+          rankChange: before ? before.leaderboardRank - entry.leaderboardRank : null,
+          rrChange: before ? entry.rankedRating - before.rankedRating : null,
+          isNew: !before
+        } : null
+      };
+    });
+  }
+
+  // The current act is served live; past acts (or a requested snapshot time) come from snapshots
+  async getLeaderboard(region, { actId, episode, act, at, size = PAGE_SIZE, startIndex = 0 } = {}) {
+    const resolved = await this.resolveAct(region, { actId, episode, act });
+    const base = {
+      region,
+      actId: resolved.id,
+      actName: resolved.name || null,
+      episodeName: resolved.episodeName || null
+    };
+
+    if (resolved.isActive && !at) {
+      const live = await this.riotAPI.getLeaderboard(resolved.id, region, size, startIndex);
+      const previous = await this.latestSnapshot(region, resolved.id);
+
+      return {
+        ...base,
+        source: 'live',
+        totalPlayers: live.totalPlayers,
+        comparedTo: previous ? previous.takenAt : null,
+        players: await this.annotate((live.players || []).map(player => this.toEntry(player)), previous)
+      };
+    }
+
+    const snapshot = at
+      ? await this.latestSnapshot(region, resolved.id, new Date(new Date(at).getTime() + 1))
+      : await this.latestSnapshot(region, resolved.id);
+
+    if (!snapshot) {
+      // Nothing stored for this act yet; Riot still serves past acts directly
+      const live = await this.riotAPI.getLeaderboard(resolved.id, region, size, startIndex);
+      return {
+        ...base,
+        source: 'live',
+        totalPlayers: live.totalPlayers,
+        comparedTo: null,
+        players: await this.annotate((live.players || []).map(player => this.toEntry(player)), null)
+      };
+    }
+
+    const [entries, previous] = await Promise.all([
+      LeaderboardEntry.find({ snapshotId: snapshot._id, leaderboardRank: { $gt: startIndex } })
+        .sort({ leaderboardRank: 1 })
+        .limit(size)
+        .select('-_id -snapshotId -region -actId -takenAt -nameKey -__v')
+        .lean(),
+      this.latestSnapshot(region, resolved.id, snapshot.takenAt)
+    ]);
+
+    return {
+      ...base,
+      source: 'snapshot',
+      takenAt: snapshot.takenAt,
+      totalPlayers: snapshot.totalPlayers,
+      comparedTo: previous ? previous.takenAt : null,
+      players: await this.annotate(entries, previous)
+    };
+  }
+
+  // The newest full crawl for a region and act, or the one a cursor was issued on
+  async indexSnapshot(region, { actId, episode, act, cursor } = {}) {
+    if (cursor) {
+      const { snapshotId, rank } = decodeCursor(cursor);
+      const snapshot = await LeaderboardSnapshot.findById(snapshotId).lean();
+      if (!snapshot) {
+        throw new AppError('Cursor refers to a leaderboard crawl that no longer exists', {
+          status: 410,
+          code: 'CURSOR_EXPIRED'
+        });
+      }
+      return { snapshot, after: rank };
+    }
+
+    const resolved = await this.resolveAct(region, { actId, episode, act });
+    const snapshot = await this.latestSnapshot(region, resolved.id, null, { full: true });
+    if (!snapshot) {
+      throw new NotFoundError(`No leaderboard crawl stored for ${region} yet`, 'LEADERBOARD_NOT_CRAWLED');
+    }
+    return { snapshot, after: 0 };
+  }
+
+  // Search a full crawl by Riot ID prefix, tier and RR range, paged by cursor in rank order
+  async search(region, { name, tier, minTier, maxTier, minRR, maxRR, limit = 50, ...actQuery } = {}) {
+    const { snapshot, after } = await this.indexSnapshot(region, actQuery);
+    const query = { snapshotId: snapshot._id, leaderboardRank: { $gt: after } };
+
+    if (name) query.nameKey = new RegExp(`^${escapeRegex(name.toLowerCase())}`);
+    if (tier !== undefined) {
+      query.competitiveTier = tier;
+    } else if (minTier !== undefined || maxTier !== undefined) {
+      query.competitiveTier = {};
+      if (minTier !== undefined) query.competitiveTier.$gte = minTier;
+      if (maxTier !== undefined) query.competitiveTier.$lte = maxTier;
+    }
+    if (minRR !== undefined || maxRR !== undefined) {
+      query.rankedRating = {};
+      if (minRR !== undefined) query.rankedRating.$gte = minRR;
+      if (maxRR !== undefined) query.rankedRating.$lte = maxRR;
+    }
+
+    const entries = await LeaderboardEntry.find(query)
+      .sort({ leaderboardRank: 1 })
+      .limit(limit + 1)
+      .select('-_id -snapshotId -region -actId -takenAt -nameKey -__v')
+      .lean();
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    return {
+      region: snapshot.region,
+      actId: snapshot.actId,
+      takenAt: snapshot.takenAt,
+      totalPlayers: snapshot.totalPlayers,
+      players: await this.annotate(page, null),
+      nextCursor: hasMore ? encodeCursor(snapshot._id, page[page.length - 1].leaderboardRank) : null
+    };
+  }
+
+  // One player's entry in the newest full crawl, with movement since the crawl before it
+  async findPlayer(puuid, region, actQuery = {}) {
+    const { snapshot } = await this.indexSnapshot(region, actQuery);
+    const entry = await LeaderboardEntry.findOne({ snapshotId: snapshot._id, puuid })
+      .select('-_id -snapshotId -region -actId -takenAt -nameKey -__v')
+      .lean();
+
+    if (!entry) {
+      throw new NotFoundError('Player not found on the leaderboard', 'PLAYER_NOT_FOUND');
+    }
+
+    const previous = await this.latestSnapshot(region, snapshot.actId, snapshot.takenAt, { full: true });
+    const [annotated] = await this.annotate([entry], previous);
+
+    return {
+      region: snapshot.region,
+      actId: snapshot.actId,
+      takenAt: snapshot.takenAt,
+      totalPlayers: snapshot.totalPlayers,
+      // Share of the ranked leaderboard at or above this player
+      topPercent: snapshot.totalPlayers > 0
+        ? Math.round((entry.leaderboardRank / snapshot.totalPlayers) * 10000) / 100
+        : null,
+      player: annotated
+    };
+  }
+
+  async listSnapshots(region, actId = null, limit = 50) {
+    const query = { region };
+    if (actId) query.actId = actId.toLowerCase();
+    return await LeaderboardSnapshot.find(query)
+      .sort({ takenAt: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+  }
+
+  // A player's position in every snapshot they appear in, oldest first, with the change between them
+  async getPlayerHistory(puuid, { region, actId, limit = 100 } = {}) {
+    const query = { puuid };
+    if (region) query.region = region;
+    if (actId) query.actId = actId.toLowerCase();
+
+    const entries = await LeaderboardEntry.find(query)
+      .sort({ takenAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return entries.reverse().map((entry, index, all) => {
+      const previous = index > 0 && all[index - 1].actId === entry.actId && all[index - 1].region === entry.region
+        ? all[index - 1]
+        : null;
+
+      return {
+        region: entry.region,
+        actId: entry.actId,
+        takenAt: entry.takenAt,
+        leaderboardRank: entry.leaderboardRank,
+        rankedRating: entry.rankedRating,
+        numberOfWins: entry.numberOfWins,
+        competitiveTier: entry.competitiveTier,
+        rankChange: previous ? previous.leaderboardRank - entry.leaderboardRank : 0,
+        rrChange: previous ? entry.rankedRating - previous.rankedRating : 0
+      };
+    });
+  }
+}
+
+module.exports = LeaderboardService;
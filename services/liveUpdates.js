@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { User } = require('../models');
+const { AppError, ValidationError } = require('./errors');
+
+// puuids from a comma-separated query value or a JSON array
+function parsePuuids(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  if (list.some(puuid => typeof puuid !== 'string' || !puuid.trim() || puuid.trim().length > 100)) {
+    throw new ValidationError('puuids must be a list of player IDs');
+  }
+  return list.map(puuid => puuid.trim());
+}
+
+// Player events (new match, rank change, leaderboard move) pushed to connected clients.
+// A connection is a send callback plus the puuids it follows; SSE and WebSocket transports
+// both sit on top of this. Every published event is also emitted as 'event'.
+class LiveUpdates extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxSubscriptions = options.maxSubscriptions || 20;
+    this.maxConnections = options.maxConnections || 1000;
+    this.connections = new Map();
+    // puuid -> Set of connections following it
+    this.followers = new Map();
+    this.sequence = 0;
+  }
+
+  connect(send, { transport = 'sse' } = {}) {
+    if (this.connections.size >= this.maxConnections) {
+      throw new AppError('Too many live connections, try again later', {
+        status: 503,
+        code: 'LIVE_CONNECTIONS_EXHAUSTED'
+      });
+    }
+
+    const connection = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      transport,
+      send,
+      subscriptions: new Set(),
+      connectedAt: new Date()
+    };
+    this.connections.set(connection.id, connection);
+    return connection;
+  }
+
+  disconnect(connection) {
+    connection.subscriptions.forEach(puuid => this.unfollow(connection, puuid));
+    this.connections.delete(connection.id);
+  }
+
+  getConnection(id) {
+    return this.connections.get(id) || null;
+  }
+
+  assertWithinLimit(connection, requested) {
+    const added = requested.filter(puuid => !connection.subscriptions.has(puuid));
+    if (connection.subscriptions.size + added.length > this.maxSubscriptions) {
+      throw new ValidationError(`A connection can follow at most ${this.maxSubscriptions} players`, {
+        limit: this.maxSubscriptions,
+        subscribed: connection.subscriptions.size,
+        requested: added.length
+      });
+    }
+    return added;
+  }
+
+  // Only tracked players can be followed: they are the ones the refresh job polls
+  async subscribe(connection, puuids) {
+    const requested = this.assertWithinLimit(connection, [...new Set(puuids)]);
+
+    if (requested.length > 0) {
+      const tracked = await User.distinct('puuid', { puuid: { $in: requested } });
+      const unknown = requested.filter(puuid => !tracked.includes(puuid));
+      if (unknown.length > 0) {
+        throw new AppError('Look these players up before following them', {
+          status: 404,
+          code: 'PLAYER_NOT_TRACKED',
+          details: { puuids: unknown }
+        });
+      }
+    }
+
+    // The connection may have closed, or subscribed to others, while we were checking
+    if (!this.connections.has(connection.id)) return [];
+    this.assertWithinLimit(connection, requested).forEach(puuid => {
+      connection.subscriptions.add(puuid);
+      if (!this.followers.has(puuid)) this.followers.set(puuid, new Set());
+      this.followers.get(puuid).add(connection);
+    });
+    return [...connection.subscriptions];
+  }
+
+  unsubscribe(connection, puuids) {
+    puuids.forEach(puuid => this.unfollow(connection, puuid));
+    return [...connection.subscriptions];
+  }
+
+  unfollow(connection, puuid) {
+    connection.subscriptions.delete(puuid);
+    const followers = this.followers.get(puuid);
+    if (!followers) return;
+    followers.delete(connection);
+    if (followers.size === 0) this.followers.delete(puuid);
+  }
+
+  isFollowed(puuid) {
+    return this.followers.has(puuid);
+  }
+
+  followedPuuids() {
+    return [...this.followers.keys()];
+  }
+
+  publish(puuid, type, data) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      puuid,
+      data,
+      at: new Date()
+    };
+
+    (this.followers.get(puuid) || []).forEach(connection => {
+      try {
+        connection.send(event);
+      } catch (error) {
+        console.error(`Live update to ${connection.id} failed:`, error.message);
+      }
+    });
+    this.emit('event', event);
+    return event;
+  }
+
+  summary() {
+    return {
+      connections: this.connections.size,
+      followedPlayers: this.followers.size,
+      maxSubscriptions: this.maxSubscriptions
+    };
+  }
+}
+
+LiveUpdates.parsePuuids = parsePuuids;
+
+module.exports = LiveUpdates;
@@ -0,0 +1,314 @@
+const { Match, MatchDetail } = require('../models');
+const { normalizeMatch } = require('./matchNormalizer');
+const { analyzeMatch, WEAPON_FIELDS } = require('./roundAnalytics');
+const MatchListService = require('./matchListService');
+const { SHARDS, CLUSTERS } = require('./regionService');
+
+// Matches stored before downloads went to shard hosts recorded the routing cluster instead;
+// the match's own region wins, then the main shard behind the cluster
+const CLUSTER_SHARDS = { europe: 'eu', americas: 'na', asia: 'ap', esports: 'esports' };
+
+function shardOf(detail) {
+  const stored = detail.region ? String(detail.region).toLowerCase() : null;
+  const own = detail.data?.region ? String(detail.data.region).toLowerCase() : null;
+  return [stored, own].find(value => SHARDS.includes(value)) || CLUSTER_SHARDS[stored] || null;
+}
+
+// Cursors may be epoch milliseconds or ISO date strings
+function toDate(value) {
+  return new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+}
+
+class MatchIngestionService {
+  constructor(riotAPI, statisticsService = null, liveUpdates = null, matchList = null) {
+    this.riotAPI = riotAPI;
+    this.statisticsService = statisticsService;
+    this.liveUpdates = liveUpdates;
+    this.matchList = matchList || new MatchListService(riotAPI);
+  }
+
+  // Build one Match row per participant from a normalized match
+  buildParticipantRows(match, region = null) {
+    const anyTeamWon = match.teams.some(t => t.won);
+    const analytics = {};
+    analyzeMatch(match).players.forEach(stats => {
+      analytics[stats.puuid] = stats;
+    });
+
+    return match.players.map(player => {
+      const team = match.teams.find(t => t.teamId === player.teamId);
+      const rounds = analytics[player.puuid];
+      const multiKills = rounds.multiKills;
+
+      return {
+        matchId: match.matchId,
+        puuid: player.puuid,
+        gameName: player.gameName,
+        tagLine: player.tagLine,
+        map: match.mapName || match.mapId,
+        mapId: match.mapId,
+        mode: match.mode,
+        queueId: match.queueId,
+        seasonId: match.seasonId,
+        isRanked: match.isRanked,
+        region,
+        gameStartTime: match.gameStartTime,
+        gameLengthMillis: match.gameLengthMillis,
+        kills: player.stats.kills,
+        deaths: player.stats.deaths,
+        assists: player.stats.assists,
+        score: player.stats.score,
+        agent: player.agentName || player.agentId,
+        agentId: player.agentId,
+        competitiveTier: player.competitiveTier,
+        partyId: player.partyId,
+        won: team?.won || false,
+        draw: !anyTeamWon,
+        roundsWon: team?.roundsWon || 0,
+        roundsLost: team?.roundsLost || 0,
+        roundsPlayed: player.stats.roundsPlayed || (team ? team.roundsWon + team.roundsLost : 0),
+        teamColor: player.teamId,
+        damage: player.damage.damage,
+        headshots: player.damage.headshots,
+        bodyshots: player.damage.bodyshots,
+        legshots: player.damage.legshots,
+        analyzedRounds: rounds.roundsPlayed,
+        firstBloods: rounds.firstBloods,
+        firstDeaths: rounds.firstDeaths,
+        kastRounds: rounds.kastRounds,
+        clutchAttempts: rounds.clutches.attempts,
+        clutchesWon: rounds.clutches.won,
+        plants: rounds.plants,
+        defuses: rounds.defuses,
+        multiKills: multiKills[2] + multiKills[3] + multiKills[4] + multiKills[5],
+        aces: multiKills[5],
+        loadoutValue: rounds.economy.totalLoadout,
+        creditsSpent: rounds.economy.totalSpent,
+        attackRoundsPlayed: rounds.attack.roundsPlayed,
+        attackRoundsWon: rounds.attack.roundsWon,
+        defenseRoundsPlayed: rounds.defense.roundsPlayed,
+        defenseRoundsWon: rounds.defense.roundsWon,
+        weapons: rounds.weapons.map(weapon => Object.fromEntries(
+          ['weaponId', ...WEAPON_FIELDS].map(field => [field, weapon[field]])
+        ))
+      };
+    });
+  }
+
+  // Upsert a match and its participant rows; rows seen for the first time update Statistics
+  async storeMatch(rawMatch, platformRegion) {
+    const match = normalizeMatch(rawMatch);
+    const rows = this.buildParticipantRows(match, platformRegion);
+
+    await MatchDetail.updateOne(
+      { matchId: match.matchId },
+      {
+        $set: {
+          matchId: match.matchId,
+          region: platformRegion,
+          gameStartTime: match.gameStartTime,
+          data: match
+        }
+      },
+      { upsert: true }
+    );
+
+    if (rows.length > 0) {
+      const result = await Match.bulkWrite(rows.map(row => ({
+        updateOne: {
+          filter: { matchId: row.matchId, puuid: row.puuid },
+          update: { $set: row },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      const inserted = Object.keys(result.upsertedIds || {}).map(index => rows[index]);
+      if (this.statisticsService && inserted.length > 0) {
+        await this.statisticsService.applyRows(inserted);
+      }
+      if (this.liveUpdates) {
+        inserted.forEach(row => this.liveUpdates.publish(row.puuid, 'match', {
+          matchId: row.matchId,
+          map: row.map,
+          mode: row.mode,
+          queueId: row.queueId,
+          agent: row.agent,
+          gameStartTime: row.gameStartTime,
+          won: row.won,
+          draw: row.draw,
+          roundsWon: row.roundsWon,
+          roundsLost: row.roundsLost,
+          kills: row.kills,
+          deaths: row.deaths,
+          assists: row.assists,
+          competitiveTier: row.competitiveTier
+        }));
+      }
+    }
+
+    return match;
+  }
+
+  // Fill in fields added to Match rows after they were stored (region, weapons), and swap
+  // routing clusters stored as the region for shards, by rebuilding them from the stored
+  // MatchDetail. Returns how many rows were updated.
+  async backfillRows(query = {}, { batchSize = 500 } = {}) {
+    const missing = {
+      $or: [{ region: { $exists: false } }, { region: { $in: CLUSTERS } }, { weapons: { $exists: false } }]
+    };
+    let updated = 0;
+
+    for (;;) {
+      const rows = await Match.find({ ...query, ...missing })
+        .select('matchId')
+        .limit(batchSize)
+        .lean();
+      if (rows.length === 0) break;
+
+      const matchIds = [...new Set(rows.map(row => row.matchId))];
+      const details = await MatchDetail.find({ matchId: { $in: matchIds } }).lean();
+      const operations = [];
+      const detailOperations = [];
+      details.forEach(detail => {
+        const shard = shardOf(detail);
+        if (shard !== (detail.region || null)) {
+          detailOperations.push({ updateOne: { filter: { _id: detail._id }, update: { $set: { region: shard } } } });
+        }
+        try {
+          this.buildParticipantRows(detail.data, shard).forEach(row => operations.push({
+            updateOne: {
+              filter: { matchId: row.matchId, puuid: row.puuid },
+              update: { $set: { region: row.region, weapons: row.weapons } }
+            }
+          }));
+        } catch (error) {
+          console.error(`Could not rebuild rows for match ${detail.matchId}:`, error.message);
+        }
+      });
+
+      if (detailOperations.length > 0) {
+        await MatchDetail.bulkWrite(detailOperations, { ordered: false });
+      }
+      if (operations.length > 0) {
+        const result = await Match.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+      }
+
+      // Rows that still can't be filled (no stored detail) get empty values so they aren't
+      // picked up again
+      const region = { $ifNull: ['$region', null] };
+      await Match.updateMany({ matchId: { $in: matchIds }, ...missing }, [{
+        $set: {
+          region: { $cond: [{ $in: [region, CLUSTERS] }, null, region] },
+          weapons: { $ifNull: ['$weapons', []] }
+        }
+      }]);
+    }
+    return updated;
+  }
+
+  // Which of these match IDs are already stored
+  async getStoredMatchIds(matchIds) {
+    if (matchIds.length === 0) return new Set();
+    const ids = await MatchDetail.distinct('matchId', { matchId: { $in: matchIds } });
+    return new Set(ids);
+  }
+
+  // Fetch the player's latest `count` matches (optionally one queue) and download only the
+  // ones we don't have yet, a batch at a time
+  async syncPlayer(puuid, platformRegion = 'eu', count = 20, { queue = null } = {}) {
+    const list = await this.matchList.getMatchList(puuid, platformRegion, { queue, count });
+    const matchIds = list.matches.map(m => m.matchId);
+
+    const stored = await this.getStoredMatchIds(matchIds);
+    const missing = matchIds.filter(id => !stored.has(id));
+
+    const settled = await MatchListService.inBatches(missing, this.matchList.detailBatchSize, async matchId => {
+      const raw = await this.riotAPI.getMatchDetails(matchId, platformRegion);
+      await this.storeMatch(raw, platformRegion);
+    });
+
+    const ingested = [];
+    const failed = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        ingested.push(missing[index]);
+      } else {
+        console.error(`Failed to ingest match ${missing[index]}:`, outcome.reason.message);
+        failed.push({ matchId: missing[index], error: outcome.reason.message });
+      }
+    });
+
+    return {
+      matchIds,
+      ingested,
+      failed,
+      alreadyStored: stored.size
+    };
+  }
+
+  // Get a normalized match, from the database when possible
+  async getMatch(matchId, platformRegion = 'eu') {
+    const stored = await MatchDetail.findOne({ matchId }).lean();
+    if (stored) return stored.data;
+
+    const raw = await this.riotAPI.getMatchDetails(matchId, platformRegion);
+    return await this.storeMatch(raw, platformRegion);
+  }
+
+  // The shard a stored match was downloaded from, if we have it
+  async getStoredShard(matchId) {
+    const stored = await MatchDetail.findOne({ matchId }).select('region').lean();
+    return SHARDS.includes(stored?.region) ? stored.region : null;
+  }
+
+  // Latest stored normalized matches for a player
+  async getStoredMatches(puuid, limit = 20) {
+    const rows = await Match.find({ puuid })
+      .sort({ gameStartTime: -1 })
+      .limit(limit)
+      .select('matchId')
+      .lean();
+
+    const details = await MatchDetail.find({ matchId: { $in: rows.map(r => r.matchId) } }).lean();
+    return details
+      .map(d => d.data)
+      .sort((a, b) => new Date(b.gameStartTime) - new Date(a.gameStartTime));
+  }
+
+  // Page through a player's stored matches with cursors and filters
+  async findPlayerMatches(puuid, { before, after, map, mode, agent, queue, limit = 20 } = {}) {
+    const query = { puuid };
+    const conditions = [];
+
+    if (before) query.gameStartTime = { $lt: toDate(before) };
+    if (after) query.gameStartTime = { ...query.gameStartTime, $gt: toDate(after) };
+    if (map) conditions.push({ $or: [{ map }, { mapId: map }] });
+    if (mode) conditions.push({ $or: [{ queueId: mode.toLowerCase() }, { mode }] });
+    if (agent) conditions.push({ $or: [{ agent }, { agentId: agent.toLowerCase() }] });
+    if (queue) query.queueId = queue === 'custom' ? { $in: ['custom', ''] } : queue;
+    if (conditions.length > 0) query.$and = conditions;
+
+    // Paging forwards from `after` walks oldest-first, then flips back to newest-first
+    const ascending = !!after && !before;
+    const rows = await Match.find(query)
+      .sort({ gameStartTime: ascending ? 1 : -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (ascending) page.reverse();
+
+    return {
+      matches: page,
+      paging: {
+        before: page.length > 0 ? page[page.length - 1].gameStartTime.getTime() : null,
+        after: page.length > 0 ? page[0].gameStartTime.getTime() : null,
+        hasMore
+      }
+    };
+  }
+}
+
+module.exports = MatchIngestionService;
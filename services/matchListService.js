@@ -0,0 +1,85 @@
+const { QUEUES } = require('./matchNormalizer');
+const { fromUpstream } = require('./errors');
+
+// Run fn over items a batch at a time; every item settles, failures are reported instead of thrown
+async function inBatches(items, batchSize, fn) {
+  const results = [];
+  for (let index = 0; index < items.length; index += batchSize) {
+    const batch = items.slice(index, index + batchSize);
+    results.push(...await Promise.allSettled(batch.map(fn)));
+  }
+  return results;
+}
+
+// Custom games come back with an empty queueId
+function queueOf(entry) {
+  return (entry.queueId || 'custom').toLowerCase();
+}
+
+// Riot's match list is one unpaginated array (newest first) with no queue filter, so slicing,
+// paging and queue filtering happen here; details are fetched a bounded batch at a time
+class MatchListService {
+  constructor(riotAPI, options = {}) {
+    this.riotAPI = riotAPI;
+    this.detailBatchSize = options.detailBatchSize || 5;
+  }
+
+  async getMatchList(puuid, platformRegion = 'eu', { queue = null, startIndex = 0, count = 20 } = {}) {
+    const history = (await this.riotAPI.getMatchHistory(puuid, platformRegion))?.history || [];
+    const filtered = queue ? history.filter(entry => queueOf(entry) === queue) : history;
+    const page = filtered.slice(startIndex, startIndex + count);
+    const hasMore = startIndex + page.length < filtered.length;
+
+    return {
+      puuid,
+      queue,
+      total: filtered.length,
+      startIndex,
+      count: page.length,
+      hasMore,
+      nextStartIndex: hasMore ? startIndex + page.length : null,
+      matches: page.map(entry => ({
+        matchId: entry.matchId,
+        queueId: queueOf(entry),
+        gameStartTime: entry.gameStartTimeMillis ? new Date(entry.gameStartTimeMillis) : null
+      }))
+    };
+  }
+
+  // Details for a list of match IDs, in order; each failure is listed rather than failing the lot
+  async getDetails(matchIds, platformRegion = 'eu') {
+    const settled = await inBatches(
+      matchIds,
+      this.detailBatchSize,
+      matchId => this.riotAPI.getMatchDetails(matchId, platformRegion)
+    );
+
+    const matches = [];
+    const failed = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        matches.push(outcome.value);
+      } else {
+        const error = fromUpstream(outcome.reason);
+        failed.push({ matchId: matchIds[index], error: error.message, code: error.code || null });
+      }
+    });
+    return { matches, failed };
+  }
+
+  async getMatchesWithDetails(puuid, platformRegion = 'eu', options = {}) {
+    const list = await this.getMatchList(puuid, platformRegion, options);
+    const { matches, failed } = await this.getDetails(list.matches.map(entry => entry.matchId), platformRegion);
+
+    return {
+      ...list,
+      matches,
+      failed
+    };
+  }
+}
+
+MatchListService.QUEUES = QUEUES;
+MatchListService.inBatches = inBatches;
+
+module.exports = MatchListService;
@@ -0,0 +1,310 @@
+// Match normalizer
+// Turns both the official Riot match-v1 payload and the unofficial (Henrik-style)
+// payload into one canonical internal match model, so every consumer reads the
+// same field names regardless of where the match came from.
+
+const QUEUE_LABELS = {
+  competitive: 'Competitive',
+  unrated: 'Unrated',
+  deathmatch: 'Deathmatch',
+  spikerush: 'Spike Rush',
+  swiftplay: 'Swiftplay',
+  premier: 'Premier',
+  ggteam: 'Escalation',
+  onefa: 'Replication',
+  hurm: 'Team Deathmatch',
+  snowball: 'Snowball Fight',
+  newmap: 'New Map',
+  custom: 'Custom'
+};
+
+// Official payloads only carry the map asset path, which uses internal codenames
+const MAP_CODENAMES = {
+  Ascent: 'Ascent',
+  Duality: 'Bind',
+  Bonsai: 'Split',
+  Triad: 'Haven',
+  Port: 'Icebox',
+  Foxtrot: 'Breeze',
+  Canyon: 'Fracture',
+  Pitt: 'Pearl',
+  Jam: 'Lotus',
+  Juliett: 'Sunset',
+  Infinity: 'Abyss',
+  Rook: 'Corrode',
+  Range: 'The Range',
+  HURM_Alley: 'District',
+  HURM_Bowl: 'Kasbah',
+  HURM_Yard: 'Piazza',
+  HURM_Helix: 'Drift'
+};
+
+// Detect which payload shape we were given
+function detectMatchShape(match) {
+  if (!match || typeof match !== 'object') return null;
+  if (match.source && match.matchId && Array.isArray(match.players)) return 'normalized';
+  if (match.matchInfo && Array.isArray(match.players)) return 'official';
+  if (match.metadata && match.players && Array.isArray(match.players.all_players)) return 'henrik';
+  return null;
+}
+
+function isNormalizedMatch(match) {
+  return detectMatchShape(match) === 'normalized';
+}
+
+// Riot mixes upper and lower case UUIDs between endpoints
+function lowerId(id) {
+  return id ? String(id).toLowerCase() : null;
+}
+
+function mapNameFromPath(mapId) {
+  if (!mapId) return null;
+  const codename = mapId.split('/').filter(Boolean).pop();
+  return MAP_CODENAMES[codename] || codename;
+}
+
+function queueLabel(queueId) {
+  if (!queueId) return 'Custom';
+  return QUEUE_LABELS[queueId] || queueId;
+}
+
+// Official payload: players[], teams[] with teamId/roundsWon, matchInfo, roundResults[]
+function normalizeOfficialMatch(raw) {
+  const info = raw.matchInfo;
+  const queueId = (info.queueId || info.queueID || '').toLowerCase() || (info.customGameName ? 'custom' : '');
+
+  const teams = (raw.teams || []).map(team => ({
+    teamId: team.teamId,
+    won: !!team.won,
+    roundsWon: team.roundsWon || 0,
+    roundsLost: Math.max((team.roundsPlayed || 0) - (team.roundsWon || 0), 0),
+    roundsPlayed: team.roundsPlayed || 0
+  }));
+
+  const rounds = (raw.roundResults || []).map(round => ({
+    roundNum: round.roundNum,
+    winningTeam: round.winningTeam,
+    resultCode: round.roundResultCode || round.roundResult || null,
+    planter: round.bombPlanter || null,
+    defuser: round.bombDefuser || null,
+    plantSite: round.plantSite || null,
+    plantRoundTime: round.plantRoundTime || null,
+    defuseRoundTime: round.defuseRoundTime || null,
+    playerStats: (round.playerStats || []).map(ps => ({
+      puuid: ps.puuid,
+      score: ps.score || 0,
+      kills: (ps.kills || []).map(kill => ({
+        killer: kill.killer,
+        victim: kill.victim,
+        assistants: kill.assistants || [],
+        roundTime: kill.timeSinceRoundStartMillis,
+        gameTime: kill.timeSinceGameStartMillis,
+        weaponId: lowerId(kill.finishingDamage?.damageItem),
+        damageType: kill.finishingDamage?.damageType || null
+      })),
+      damage: (ps.damage || []).map(d => ({
+        receiver: d.receiver,
+        damage: d.damage || 0,
+        headshots: d.headshots || 0,
+        bodyshots: d.bodyshots || 0,
+        legshots: d.legshots || 0
+      })),
+      economy: ps.economy ? {
+        loadoutValue: ps.economy.loadoutValue || 0,
+        weapon: lowerId(ps.economy.weapon),
+        armor: lowerId(ps.economy.armor),
+        remaining: ps.economy.remaining || 0,
+        spent: ps.economy.spent || 0
+      } : null
+    }))
+  }));
+
+  // Shot and damage totals only exist per round, so sum them up per dealer
+  const damageByPlayer = {};
+  rounds.forEach(round => {
+    round.playerStats.forEach(ps => {
+      const totals = damageByPlayer[ps.puuid] || (damageByPlayer[ps.puuid] = {
+        damage: 0, headshots: 0, bodyshots: 0, legshots: 0
+      });
+      ps.damage.forEach(d => {
+        totals.damage += d.damage;
+        totals.headshots += d.headshots;
+        totals.bodyshots += d.bodyshots;
+        totals.legshots += d.legshots;
+      });
+    });
+  });
+
+  const players = (raw.players || []).map(player => ({
+    puuid: player.puuid,
+    gameName: player.gameName,
+    tagLine: player.tagLine,
+    teamId: player.teamId,
+    partyId: player.partyId || null,
+    agentId: lowerId(player.characterId),
+    agentName: null,
+    competitiveTier: player.competitiveTier || 0,
+    stats: {
+      score: player.stats?.score || 0,
+      kills: player.stats?.kills || 0,
+      deaths: player.stats?.deaths || 0,
+      assists: player.stats?.assists || 0,
+      roundsPlayed: player.stats?.roundsPlayed || 0
+    },
+    damage: damageByPlayer[player.puuid] || { damage: 0, headshots: 0, bodyshots: 0, legshots: 0 }
+  }));
+
+  return {
+    source: 'official',
+    matchId: info.matchId,
+    mapId: info.mapId,
+    mapName: mapNameFromPath(info.mapId),
+    queueId,
+    mode: queueLabel(queueId),
+    isRanked: !!info.isRanked,
+    seasonId: info.seasonId || null,
+    region: info.region || null,
+    gameVersion: info.gameVersion || null,
+    gameStartTime: new Date(info.gameStartMillis),
+    gameLengthMillis: info.gameLengthMillis || 0,
+    isCompleted: info.isCompleted !== false,
+    teams,
+    players,
+    rounds
+  };
+}
+
+// Unofficial payload: players.all_players, teams.red/blue, metadata, rounds[]
+function normalizeHenrikMatch(raw) {
+  const meta = raw.metadata;
+  const queueId = (meta.mode_id || meta.queue || meta.mode || '').toLowerCase().replace(/\s+/g, '');
+
+  const teams = Object.keys(raw.teams || {})
+    .filter(color => raw.teams[color])
+    .map(color => {
+      const team = raw.teams[color];
+      return {
+        teamId: color.charAt(0).toUpperCase() + color.slice(1),
+        won: !!team.has_won,
+        roundsWon: team.rounds_won || 0,
+        roundsLost: team.rounds_lost || 0,
+        roundsPlayed: (team.rounds_won || 0) + (team.rounds_lost || 0)
+      };
+    });
+
+  const rounds = (raw.rounds || []).map((round, index) => ({
+    roundNum: index,
+    winningTeam: round.winning_team,
+    resultCode: round.end_type || null,
+    planter: round.plant_events?.planted_by?.puuid || null,
+    defuser: round.defuse_events?.defused_by?.puuid || null,
+    plantSite: round.plant_events?.plant_site || null,
+    plantRoundTime: round.plant_events?.plant_time_in_round || null,
+    defuseRoundTime: round.defuse_events?.defuse_time_in_round || null,
+    playerStats: (round.player_stats || []).map(ps => ({
+      puuid: ps.player_puuid,
+      score: ps.score || 0,
+      kills: (ps.kill_events || []).map(kill => ({
+        killer: kill.killer_puuid,
+        victim: kill.victim_puuid,
+        assistants: (kill.assistants || []).map(a => a.assistant_puuid),
+        roundTime: kill.kill_time_in_round,
+        gameTime: kill.kill_time_in_match,
+        weaponId: lowerId(kill.damage_weapon_id),
+        damageType: kill.damage_weapon_id ? 'Weapon' : null
+      })),
+      damage: (ps.damage_events || []).map(d => ({
+        receiver: d.receiver_puuid,
+        damage: d.damage || 0,
+        headshots: d.headshots || 0,
+        bodyshots: d.bodyshots || 0,
+        legshots: d.legshots || 0
+      })),
+      economy: ps.economy ? {
+        loadoutValue: ps.economy.loadout_value || 0,
+        weapon: lowerId(ps.economy.weapon?.id),
+        armor: lowerId(ps.economy.armor?.id),
+        remaining: ps.economy.remaining || 0,
+        spent: ps.economy.spent || 0
+      } : null
+    }))
+  }));
+
+  const players = raw.players.all_players.map(player => {
+    // Older payloads put shot counts under damage_made, newer ones under stats
+    const shots = typeof player.damage_made === 'object' && player.damage_made
+      ? player.damage_made
+      : player.stats || {};
+
+    return {
+      puuid: player.puuid,
+      gameName: player.name,
+      tagLine: player.tag,
+      teamId: player.team,
+      partyId: player.party_id || null,
+      agentId: lowerId(player.character_id),
+      agentName: player.character || null,
+      competitiveTier: player.currenttier || 0,
+      stats: {
+        score: player.stats?.score || 0,
+        kills: player.stats?.kills || 0,
+        deaths: player.stats?.deaths || 0,
+        assists: player.stats?.assists || 0,
+        roundsPlayed: meta.rounds_played || rounds.length
+      },
+      damage: {
+        damage: typeof player.damage_made === 'number' ? player.damage_made : (shots.damage || 0),
+        headshots: shots.headshots || 0,
+        bodyshots: shots.bodyshots || 0,
+        legshots: shots.legshots || 0
+      }
+    };
+  });
+
+  // game_length has been reported both in seconds and in milliseconds over time
+  const gameLength = meta.game_length || 0;
+
+  return {
+    source: 'henrik',
+    matchId: meta.matchid,
+    mapId: meta.map_id || null,
+    mapName: meta.map || null,
+    queueId,
+    mode: meta.mode || queueLabel(queueId),
+    isRanked: queueId === 'competitive',
+    seasonId: meta.season_id || null,
+    region: meta.region || null,
+    gameVersion: meta.game_version || null,
+    gameStartTime: new Date(meta.game_start * 1000),
+    gameLengthMillis: gameLength < 100000 ? gameLength * 1000 : gameLength,
+    isCompleted: true,
+    teams,
+    players,
+    rounds
+  };
+}
+
+// Normalize any supported payload into the canonical match model
+function normalizeMatch(match) {
+  switch (detectMatchShape(match)) {
+    case 'normalized':
+      return match;
+    case 'official':
+      return normalizeOfficialMatch(match);
+    case 'henrik':
+      return normalizeHenrikMatch(match);
+    default:
+      throw new Error('Unrecognized match payload shape');
+  }
+}
+
+module.exports = {
+  QUEUES: Object.keys(QUEUE_LABELS),
+  normalizeMatch,
+  normalizeOfficialMatch,
+  normalizeHenrikMatch,
+  isNormalizedMatch,
+  detectMatchShape,
+  mapNameFromPath,
+  queueLabel
+};
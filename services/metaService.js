@@ -0,0 +1,334 @@
+const { Match, MetaSnapshot } = require('../models');
+const RankService = require('./rankService');
+const { summarizeWeapon, WEAPON_FIELDS } = require('./roundAnalytics');
+const { SHARDS } = require('./regionService');
+const { QUEUES } = require('./matchNormalizer');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// Competitive tiers per rank bucket: three divisions each from Iron up, Radiant on its own
+const TIER_BUCKETS = { unranked: [0, 2] };
+RankService.TIER_DIVISIONS.forEach((division, index) => {
+  TIER_BUCKETS[division.toLowerCase()] = [3 + index * 3, 5 + index * 3];
+});
+TIER_BUCKETS.radiant = [27, 27];
+
+const PLAYERS_PER_TEAM = 5;
+// Always refreshed; other snapshots only while someone keeps asking for them
+const DEFAULT_FILTERS = [
+  {},
+  { act: 'current', queue: 'competitive' }
+];
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function percentage(part, total) {
+  return total > 0 ? round((part / total) * 100, 1) : 0;
+}
+
+// Per-row sums shared by the agent and agent-by-map groups
+const PICK_SUMS = {
+  picks: { $sum: 1 },
+  wins: { $sum: { $cond: ['$won', 1, 0] } },
+  draws: { $sum: { $cond: ['$draw', 1, 0] } },
+  kills: { $sum: '$kills' },
+  deaths: { $sum: '$deaths' },
+  assists: { $sum: '$assists' },
+  score: { $sum: '$score' },
+  rounds: { $sum: '$roundsPlayed' }
+};
+
+// Rows store the agent's name when the source payload had one and its ID otherwise, so agents
+// are grouped by ID (the name for rows without one). $max keeps a name over null.
+const AGENT_KEY = { $ifNull: ['$agentId', '$agent'] };
+const AGENT_NAMES = {
+  agent: { $max: { $cond: [{ $ne: ['$agent', '$agentId'] }, '$agent', null] } },
+  agentId: { $max: '$agentId' }
+};
+
+const SIDE_SUMS = {
+  attackRoundsPlayed: { $sum: '$attackRoundsPlayed' },
+  attackRoundsWon: { $sum: '$attackRoundsWon' },
+  defenseRoundsPlayed: { $sum: '$defenseRoundsPlayed' },
+  defenseRoundsWon: { $sum: '$defenseRoundsWon' }
+};
+
+// SIDE_SUMS again, over groups that already hold them
+const SIDE_TOTALS = Object.keys(SIDE_SUMS).reduce((sums, field) => {
+  sums[field] = { $sum: `$${field}` };
+  return sums;
+}, {});
+
+// Per-weapon totals summed across rows, after unwinding each row's weapons
+const WEAPON_SUMS = WEAPON_FIELDS.reduce((sums, field) => {
+  sums[field] = { $sum: `$weapons.${field}` };
+  return sums;
+}, {});
+
+// Pick rate is picks per 100 teams, so an agent on every team is at 100 whatever the filters
+function pickStats(group, players) {
+  return {
+    picks: group.picks,
+    pickRate: percentage(group.picks * PLAYERS_PER_TEAM, players),
+    wins: group.wins,
+    draws: group.draws,
+    winRate: percentage(group.wins, group.picks),
+    kd: round(group.deaths > 0 ? group.kills / group.deaths : group.kills, 2),
+    averageKills: round(group.picks > 0 ? group.kills / group.picks : 0, 1),
+    averageDeaths: round(group.picks > 0 ? group.deaths / group.picks : 0, 1),
+    averageAssists: round(group.picks > 0 ? group.assists / group.picks : 0, 1),
+    acs: round(group.rounds > 0 ? group.score / group.rounds : 0, 1)
+  };
+}
+
+// Agent, map and weapon statistics across every player in every stored match (each match is stored
+// with all ten participants), built with aggregation pipelines and kept as snapshots per
+// combination of act, region, queue and rank bucket that a scheduled job refreshes
+class MetaService {
+  constructor({ contentCatalog }, options = {}) {
+    this.contentCatalog = contentCatalog;
+
+    this.staleAfterMs = options.staleAfterMs || 2 * 60 * 60 * 1000;
+    this.keepRequestedMs = options.keepRequestedMs || 7 * 24 * 60 * 60 * 1000;
+    // Snapshot key -> the refresh computing it, so concurrent requests share one aggregation
+    this.computing = new Map();
+  }
+
+  // Query values to stored filters. Every snapshot is kept and refreshed by the job, so only
+  // known values get one: act must be an act ID from the content catalog or "current" (the
+  // active act), and region, queue and tier must be ones the routes accept
+  async resolveFilters({ act = null, region = null, queue = null, tier = null } = {}) {
+    const filters = {
+      actId: act ? await this.resolveAct(act) : null,
+      region: region ? region.toLowerCase() : null,
+      queue: queue ? queue.toLowerCase() : null,
+      tier: tier ? tier.toLowerCase() : null
+    };
+
+    if (filters.region && !SHARDS.includes(filters.region)) {
+      throw new ValidationError(`Unknown region "${region}"`);
+    }
+    if (filters.queue && !QUEUES.includes(filters.queue)) {
+      throw new ValidationError(`Unknown queue "${queue}"`);
+    }
+    if (filters.tier && !TIER_BUCKETS[filters.tier]) {
+      throw new ValidationError(`Unknown tier "${tier}"`);
+    }
+    return filters;
+  }
+
+  async resolveAct(act) {
+    const catalog = await this.contentCatalog.load('eu');
+
+    if (act.toLowerCase() === 'current') {
+      const current = this.contentCatalog.list(catalog, 'acts').find(entry => entry.isActive);
+      if (!current) throw new NotFoundError('The content catalog has no active act', 'ACT_NOT_FOUND');
+      return current.id;
+    }
+
+    const found = this.contentCatalog.act(catalog, act);
+    if (!found) throw new NotFoundError(`No act found with ID "${act}"`, 'ACT_NOT_FOUND');
+    return found.id;
+  }
+
+  static key({ actId, region, queue, tier }) {
+    return [actId, region, queue, tier].map(value => value || '*').join('|');
+  }
+
+  matchQuery({ actId, region, queue, tier }) {
+    const query = {};
+    if (actId) query.seasonId = actId;
+    if (region) query.region = region;
+    if (queue) query.queueId = queue === 'custom' ? { $in: ['custom', ''] } : queue;
+    if (tier) {
+      const [min, max] = TIER_BUCKETS[tier];
+      query.competitiveTier = { $gte: min, $lte: max };
+    }
+    return query;
+  }
+
+  // One pass over the matching rows: totals, per-agent, per-map (grouped by match first, so
+  // matches are counted once), per agent on each map, and per weapon
+  async compute(filters) {
+    const [result] = await Match.aggregate([
+      { $match: this.matchQuery(filters) },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: '$matchId', players: { $sum: 1 } } },
+            { $group: { _id: null, matches: { $sum: 1 }, players: { $sum: '$players' } } }
+          ],
+          agents: [
+            { $group: { _id: AGENT_KEY, ...AGENT_NAMES, ...PICK_SUMS } }
+          ],
+          maps: [
+            {
+              $group: {
+                _id: { map: '$map', matchId: '$matchId' },
+                mapId: { $first: '$mapId' },
+                players: { $sum: 1 },
+                ...SIDE_SUMS
+              }
+            },
+            {
+              $group: {
+                _id: '$_id.map',
+                mapId: { $first: '$mapId' },
+                matches: { $sum: 1 },
+                players: { $sum: '$players' },
+                ...SIDE_TOTALS
+              }
+            }
+          ],
+          agentMaps: [
+            { $group: { _id: { agent: AGENT_KEY, map: '$map' }, ...AGENT_NAMES, ...PICK_SUMS } }
+          ],
+          weapons: [
+            { $unwind: '$weapons' },
+            { $group: { _id: '$weapons.weaponId', ...WEAPON_SUMS } }
+          ]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    return this.buildMeta(result);
+  }
+
+  buildMeta({ totals, agents, maps, agentMaps, weapons = [] }) {
+    const { matches = 0, players = 0 } = totals[0] || {};
+    const mapPlayers = new Map(maps.map(group => [group._id, group.players]));
+    const weaponKills = weapons.reduce((sum, group) => sum + group.kills, 0);
+    const weaponRounds = weapons.reduce((sum, group) => sum + group.rounds, 0);
+
+    return {
+      totalMatches: matches,
+      totalPlayers: players,
+      agents: agents
+        .filter(group => group._id)
+        .map(group => ({ agent: group.agent || null, agentId: group.agentId || null, ...pickStats(group, players) }))
+        .sort((a, b) => b.picks - a.picks),
+      maps: maps
+        .filter(group => group._id)
+        .map(group => ({
+          map: group._id,
+          mapId: group.mapId || null,
+          matches: group.matches,
+          playRate: percentage(group.matches, matches),
+          attackRoundsPlayed: group.attackRoundsPlayed,
+          defenseRoundsPlayed: group.defenseRoundsPlayed,
+          attackWinRate: percentage(group.attackRoundsWon, group.attackRoundsPlayed),
+          defenseWinRate: percentage(group.defenseRoundsWon, group.defenseRoundsPlayed),
+          agents: agentMaps
+            .filter(entry => entry._id.map === group._id && entry._id.agent)
+            .map(entry => ({
+              agent: entry.agent || null,
+              agentId: entry.agentId || null,
+              ...pickStats(entry, mapPlayers.get(group._id))
+            }))
+            .sort((a, b) => b.picks - a.picks)
+        }))
+        .sort((a, b) => b.matches - a.matches),
+      // killShare: of all kills; roundShare: of player-rounds, how often it was the weapon carried
+      weapons: weapons
+        .filter(group => group._id)
+        .map(({ _id, ...group }) => ({
+          ...summarizeWeapon({ weaponId: _id, ...group }),
+          killShare: percentage(group.kills, weaponKills),
+          roundShare: percentage(group.rounds, weaponRounds)
+        }))
+        .sort((a, b) => b.kills - a.kills || b.rounds - a.rounds)
+    };
+  }
+
+  // Recompute and store one snapshot; a refresh already running for the same filters is shared
+  // rather than started again
+  refresh(filters) {
+    const key = MetaService.key(filters);
+    if (!this.computing.has(key)) {
+      const running = this.store(key, filters).finally(() => this.computing.delete(key));
+      this.computing.set(key, running);
+    }
+    return this.computing.get(key);
+  }
+
+  async store(key, filters) {
+    const meta = await this.compute(filters);
+    return await MetaSnapshot.findOneAndUpdate(
+      { key },
+      { $set: { key, ...filters, ...meta, computedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  // The stored snapshot for these filters; computed on the spot the first time they're asked
+  // for, or when the refresh job hasn't kept up
+  async getMeta(query) {
+    const filters = await this.resolveFilters(query);
+    const key = MetaService.key(filters);
+
+    const stored = await MetaSnapshot.findOneAndUpdate(
+      { key },
+      { $set: { lastRequestedAt: new Date() }, $setOnInsert: filters },
+      { upsert: true, new: true }
+    ).lean();
+    if (stored.computedAt && Date.now() - stored.computedAt.getTime() < this.staleAfterMs) {
+      return stored;
+    }
+
+    return await this.refresh(filters);
+  }
+
+  // Scheduled refresh: defaults plus every snapshot asked for recently; the rest are dropped,
+  // as are stored ones whose filters no longer resolve (an act gone from the content catalog)
+  async refreshAll() {
+    const cutoff = new Date(Date.now() - this.keepRequestedMs);
+    let { deletedCount: removed } = await MetaSnapshot.deleteMany({ lastRequestedAt: { $lt: cutoff } });
+
+    const requested = await MetaSnapshot.find({}).select('key actId region queue tier').lean();
+    const unique = new Map();
+    let failed = 0;
+    for (const filters of DEFAULT_FILTERS) {
+      try {
+        const resolved = await this.resolveFilters(filters);
+        unique.set(MetaService.key(resolved), resolved);
+      } catch (error) {
+        failed++;
+        console.error('Default meta snapshot skipped:', error.message);
+      }
+    }
+    for (const snapshot of requested) {
+      const { key, actId: act, region, queue, tier } = snapshot;
+      try {
+        const resolved = await this.resolveFilters({ act, region, queue, tier });
+        unique.set(MetaService.key(resolved), resolved);
+      } catch (error) {
+        if (error instanceof ValidationError || error instanceof NotFoundError) {
+          await MetaSnapshot.deleteOne({ key });
+          removed++;
+        } else {
+          failed++;
+          console.error(`Meta snapshot ${key} skipped:`, error.message);
+        }
+      }
+    }
+
+    let refreshed = 0;
+    for (const filters of unique.values()) {
+      try {
+        await this.refresh(filters);
+        refreshed++;
+      } catch (error) {
+        failed++;
+        console.error(`Meta snapshot ${MetaService.key(filters)} failed:`, error.message);
+      }
+    }
+
+    return { refreshed, failed, removed };
+  }
+}
+
+MetaService.TIER_BUCKETS = Object.keys(TIER_BUCKETS);
+
+module.exports = MetaService;
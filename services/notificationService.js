@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { User, Match, MatchDetail, WebhookTarget, WebhookDelivery } = require('../models');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+// Matches that started this long before a target was registered are history, not news
+const BACKFILL_GRACE_MS = 3 * 60 * 60 * 1000;
+const RESULT_COLORS = { Victory: 0x3ba55c, Defeat: 0xed4245, Draw: 0x99aab5 };
+
+function resultLabel(summary) {
+  if (summary.won) return 'Victory';
+  return summary.roundsWon === summary.roundsLost ? 'Draw' : 'Defeat';
+}
+
+// Discord-compatible webhook body: one embed per match
+function formatDiscord(payload) {
+  const { player, match } = payload;
+  const name = player.gameName ? `${player.gameName}#${player.tagLine}` : player.puuid;
+
+  return {
+    username: 'Valorant Tracker',
+    embeds: [{
+      title: `${name}: ${match.result} on ${match.map}`,
+      color: RESULT_COLORS[match.result],
+      fields: [
+        { name: 'Map', value: String(match.map), inline: true },
+        { name: 'Agent', value: String(match.agent), inline: true },
+        { name: 'Mode', value: String(match.mode), inline: true },
+        { name: 'K / D / A', value: `${match.kills} / ${match.deaths} / ${match.assists}`, inline: true },
+        { name: 'Result', value: `${match.result} ${match.roundsWon}-${match.roundsLost}`, inline: true },
+        { name: 'Score', value: String(match.score), inline: true }
+      ],
+      timestamp: match.date ? new Date(match.date).toISOString() : undefined,
+      footer: { text: `Match ${match.matchId}` }
+    }]
+  };
+}
+
+// Generic webhook body; receivers verify it with the X-Webhook-Signature header
+function formatHttp(delivery) {
+  return {
+    id: String(delivery._id),
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    ...delivery.payload
+  };
+}
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family === 6) return BLOCKED_ADDRESSES.check(address, 'ipv6');
+  return false;
+}
+
+// dns.lookup that refuses internal addresses, so a public name can't resolve (or later
+// re-resolve) to one when the request is made
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to an internal address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a captured request can't be replayed later
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Posts tracked players' new matches to the webhook targets accounts register for them.
+// Deliveries are queued in WebhookDelivery, retried with backoff, rate limited per target,
+// and kept as a dead-letter log once they give up.
+class NotificationService {
+  constructor({ riotAPI, contentCatalog, liveUpdates }, options = {}) {
+    this.riotAPI = riotAPI;
+    this.contentCatalog = contentCatalog;
+    this.liveUpdates = liveUpdates;
+
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseMs = options.retryBaseMs || 30 * 1000;
+    this.timeoutMs = options.timeoutMs || 10 * 1000;
+    this.batchSize = options.batchSize || 20;
+    this.maxTargetsPerAccount = options.maxTargetsPerAccount || 20;
+    // Plain http:// targets and loopback/private hosts (e.g. a local stand-in) are only
+    // accepted when allowed
+    this.allowHttp = options.allowHttp ?? false;
+    this.allowPrivateTargets = options.allowPrivateTargets ?? false;
+
+    // targetId -> delivery times within the last minute
+    this.windows = new Map();
+    this.watched = null;
+    this.watchedAt = 0;
+    this.processing = null;
+  }
+
+  // Queue deliveries whenever ingestion publishes a new match
+  start() {
+    this.liveUpdates.on('event', event => {
+      if (event.type !== 'match') return;
+      this.enqueueMatch(event.puuid, event.data)
+        .catch(error => console.error(`Failed to queue webhooks for ${event.data.matchId}:`, error.message));
+    });
+  }
+
+  // puuids with enabled targets; they are polled as often as live-followed players
+  async watchedPuuids() {
+    if (!this.watched || Date.now() - this.watchedAt > MINUTE_MS) {
+      this.watched = new Set(await WebhookTarget.distinct('puuid', { enabled: true }));
+      this.watchedAt = Date.now();
+    }
+    return this.watched;
+  }
+
+  async enqueueMatch(puuid, match) {
+    const watched = await this.watchedPuuids();
+    if (!watched.has(puuid)) return 0;
+
+    const startedAt = new Date(match.gameStartTime).getTime();
+    const targets = (await WebhookTarget.find({ puuid, enabled: true }).lean())
+      .filter(target => startedAt >= target.createdAt.getTime() - BACKFILL_GRACE_MS);
+    if (targets.length === 0) return 0;
+
+    const payload = await this.buildMatchPayload(puuid, match.matchId);
+    await WebhookDelivery.bulkWrite(targets.map(target => ({
+      updateOne: {
+        filter: { targetId: target._id, event: 'match', matchId: match.matchId },
+        update: {
+          $setOnInsert: {
+            targetId: target._id,
+            accountId: target.accountId,
+            puuid,
+            event: 'match',
+            matchId: match.matchId,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    this.processPending().catch(error => console.error('Webhook delivery failed:', error.message));
+    return targets.length;
+  }
+
+  // The player's line from calculatePlayerStats' per-match summary, with content names filled in
+  async buildMatchPayload(puuid, matchId) {
+    const [detail, user] = await Promise.all([
+      MatchDetail.findOne({ matchId }).lean(),
+      User.findOne({ puuid }).select('gameName tagLine platformRegion').lean()
+    ]);
+    if (!detail) throw new NotFoundError(`Match ${matchId} is not stored`, 'MATCH_NOT_FOUND');
+
+    const catalog = await this.contentCatalog.tryLoad(user?.platformRegion || 'eu');
+    const match = this.contentCatalog.enrichMatch(detail.data, catalog);
+    const [summary] = this.riotAPI.calculatePlayerStats([match], puuid).recentMatches;
+    if (!summary) throw new NotFoundError(`Player did not play in match ${matchId}`, 'MATCH_NOT_FOUND');
+
+    const player = match.players.find(entry => entry.puuid === puuid);
+    return {
+      player: {
+        puuid,
+        gameName: player?.gameName || user?.gameName || null,
+        tagLine: player?.tagLine || user?.tagLine || null
+      },
+      match: {
+        ...summary,
+        result: resultLabel(summary),
+        queueId: match.queueId,
+        gameLengthMillis: match.gameLengthMillis
+      }
+    };
+  }
+
+  // Reserve a slot in the target's per-minute window; returns how long to wait when it's full
+  takeSlot(target, now = Date.now()) {
+    const id = String(target._id);
+    const recent = (this.windows.get(id) || []).filter(sentAt => now - sentAt < MINUTE_MS);
+    this.windows.set(id, recent);
+
+    if (recent.length >= (target.rateLimitPerMinute || 10)) {
+      return recent[0] + MINUTE_MS - now;
+    }
+    recent.push(now);
+    return 0;
+  }
+
+  async send(target, delivery) {
+    const body = JSON.stringify(target.kind === 'discord' ? formatDiscord(delivery.payload) : formatHttp(delivery));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'valorant-tracker-webhooks/1.0'
+    };
+
+    if (target.kind === 'http') {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Webhook-Id'] = String(delivery._id);
+      headers['X-Webhook-Event'] = delivery.event;
+      headers['X-Webhook-Timestamp'] = String(timestamp);
+      headers['X-Webhook-Signature'] = `sha256=${sign(target.secret, timestamp, body)}`;
+    }
+
+    // Checked again on every send: targets may predate the rules
+    this.assertUrl(target.url);
+    const response = await axios.post(target.url, body, {
+      headers,
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...(this.allowPrivateTargets ? {} : PUBLIC_AGENTS)
+    });
+
+    // Discord reports its rate limit wait in the body, in seconds
+    const retryAfter = Number(response.headers['retry-after']) || Number(response.data?.retry_after) || 0;
+    return {
+      status: response.status,
+      retryAfterMs: retryAfter * 1000
+    };
+  }
+
+  // One delivery attempt: delivered, deferred by the rate limit, rescheduled or dead-lettered
+  async attempt(delivery) {
+    const target = await WebhookTarget.findById(delivery.targetId).lean();
+    if (!target || !target.enabled) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'dead', lastError: 'Webhook target removed or disabled' } }
+      );
+      return 'dead';
+    }
+
+    const wait = this.takeSlot(target);
+    if (wait > 0) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { nextAttemptAt: new Date(Date.now() + wait) } });
+      return 'deferred';
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = null;
+    let error;
+    let retryable = true;
+    let retryAfterMs = 0;
+
+    try {
+      ({ status, retryAfterMs } = await this.send(target, delivery));
+      if (status >= 200 && status < 300) {
+        await WebhookDelivery.updateOne(
+          { _id: delivery._id },
+          { $set: { status: 'delivered', attempts, lastStatus: status, lastError: null, deliveredAt: new Date() } }
+        );
+        await WebhookTarget.updateOne(
+          { _id: target._id },
+          { $set: { lastDeliveredAt: new Date(), lastError: null }, $inc: { deliveredCount: 1 } }
+        );
+        return 'delivered';
+      }
+      error = `HTTP ${status}`;
+      retryable = status === 408 || status === 429 || status >= 500;
+    } catch (requestError) {
+      error = requestError.message;
+      // A target that's no longer allowed won't become allowed by retrying
+      retryable = !(requestError instanceof ValidationError);
+    }
+
+    const dead = !retryable || attempts >= this.maxAttempts;
+    const backoff = this.retryBaseMs * Math.pow(2, attempts - 1);
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'pending',
+          attempts,
+          lastStatus: status,
+          lastError: error,
+          nextAttemptAt: new Date(Date.now() + Math.max(backoff, retryAfterMs))
+        }
+      }
+    );
+    await WebhookTarget.updateOne(
+      { _id: target._id },
+      { $set: { lastError: error }, ...(dead ? { $inc: { failedCount: 1 } } : {}) }
+    );
+    return dead ? 'dead' : 'retrying';
+  }
+
+  // Attempt every due delivery (one batch); concurrent callers share the run in progress
+  processPending() {
+    if (!this.processing) {
+      this.processing = this.deliverDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async deliverDue() {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(this.batchSize)
+      .lean();
+
+    const outcomes = { delivered: 0, deferred: 0, retrying: 0, dead: 0 };
+    for (const delivery of due) {
+      outcomes[await this.attempt(delivery)]++;
+    }
+    return outcomes;
+  }
+
+  assertUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('url must be an absolute URL');
+    }
+    if (parsed.protocol !== 'https:' && !(this.allowHttp && parsed.protocol === 'http:')) {
+      throw new ValidationError(this.allowHttp ? 'url must use http or https' : 'url must use https');
+    }
+
+    // Names are checked again when they're resolved for a delivery (see publicLookup)
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!this.allowPrivateTargets && (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host))) {
+      throw new ValidationError('url must point to a public host');
+    }
+    return parsed.toString();
+  }
+
+  toPublic(target, { withSecret = false } = {}) {
+    const { _id, __v, secret, ...rest } = target.toObject ? target.toObject() : target;
+    return {
+      id: _id,
+      ...rest,
+      ...(withSecret && secret ? { secret } : {})
+    };
+  }
+
+  async findTarget(accountId, id) {
+    const target = mongoose.isValidObjectId(id) ? await WebhookTarget.findOne({ _id: id, accountId }) : null;
+    if (!target) throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    return target;
+  }
+
+  async listTargets(accountId) {
+    const targets = await WebhookTarget.find({ accountId }).sort({ createdAt: 1 }).lean();
+    return targets.map(target => this.toPublic(target));
+  }
+
+  // The HTTP secret is only shown here; generated when none is given
+  async createTarget(accountId, { puuid, kind, url, label, secret, rateLimitPerMinute }) {
+    const target = {
+      accountId,
+      puuid,
+      kind,
+      url: this.assertUrl(url),
+      label,
+      ...(rateLimitPerMinute ? { rateLimitPerMinute } : {})
+    };
+
+    if (!await User.exists({ puuid })) {
+      throw new NotFoundError('Look the player up before adding webhooks for them', 'PLAYER_NOT_TRACKED');
+    }
+    if (await WebhookTarget.countDocuments({ accountId }) >= this.maxTargetsPerAccount) {
+      throw new ConflictError(`An account can have at most ${this.maxTargetsPerAccount} webhooks`, 'WEBHOOK_LIMIT_REACHED');
+    }
+    if (kind === 'http') {
+      target.secret = secret || crypto.randomBytes(32).toString('hex');
+    }
+
+    const created = await WebhookTarget.create(target);
+    this.watched = null;
+    return this.toPublic(created, { withSecret: true });
+  }
+
+  async updateTarget(accountId, id, changes) {
+    const target = await this.findTarget(accountId, id);
+    if (changes.url !== undefined) changes.url = this.assertUrl(changes.url);
+    Object.assign(target, changes);
+    await target.save();
+
+    this.watched = null;
+    return this.toPublic(target);
+  }
+
+  // Pending deliveries go with the target; the delivery log stays
+  async deleteTarget(accountId, id) {
+    const target = await this.findTarget(accountId, id);
+    await WebhookDelivery.deleteMany({ targetId: target._id, status: 'pending' });
+    await target.deleteOne();
+    this.watched = null;
+  }
+
+  // Send the player's latest stored match right away, through the normal delivery path
+  async sendTest(accountId, id) {
+    const target = await this.findTarget(accountId, id);
+    const latest = await Match.findOne({ puuid: target.puuid }).sort({ gameStartTime: -1 }).select('matchId').lean();
+    if (!latest) {
+      throw new NotFoundError('No stored matches for this player yet', 'MATCH_NOT_FOUND');
+    }
+
+    const delivery = await WebhookDelivery.create({
+      targetId: target._id,
+      accountId,
+      puuid: target.puuid,
+      event: 'test',
+      payload: await this.buildMatchPayload(target.puuid, latest.matchId)
+    });
+    const outcome = await this.attempt(delivery.toObject());
+
+    return {
+      outcome,
+      delivery: await WebhookDelivery.findById(delivery._id).select('-payload').lean()
+    };
+  }
+
+  async listDeliveries(accountId, id, { status, limit = 50 } = {}) {
+    const target = await this.findTarget(accountId, id);
+    return await WebhookDelivery.find({ targetId: target._id, ...(status ? { status } : {}) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-payload')
+      .lean();
+  }
+
+  // Put a dead-lettered delivery back in the queue
+  async retryDelivery(accountId, id, deliveryId) {
+    const target = await this.findTarget(accountId, id);
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, targetId: target._id, status: 'dead' },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+        { new: true, projection: { payload: 0 } }
+      ).lean()
+      : null;
+    if (!delivery) throw new NotFoundError('No dead-lettered delivery with that ID', 'DELIVERY_NOT_FOUND');
+
+    this.processPending().catch(error => console.error('Webhook delivery failed:', error.message));
+    return delivery;
+  }
+}
+
+NotificationService.formatDiscord = formatDiscord;
+NotificationService.sign = sign;
+NotificationService.isBlockedAddress = isBlockedAddress;
+
+module.exports = NotificationService;
@@ -0,0 +1,101 @@
+const { User, Match } = require('../models');
+
+// Re-polls tracked players' match lists, stalest first, within the Riot rate budget
+class PlayerRefreshService {
+  constructor({ riotAPI, matchIngestion, rankService }, options = {}) {
+    this.riotAPI = riotAPI;
+    this.matchIngestion = matchIngestion;
+    this.rankService = rankService;
+
+    this.batchSize = options.batchSize || 5;
+    this.staleAfterMs = options.staleAfterMs || 30 * 60 * 1000;
+    // Players followed over live connections are polled far more often
+    this.followedStaleAfterMs = options.followedStaleAfterMs || 60 * 1000;
+    this.matchCount = options.matchCount || 10;
+    // Leave room for interactive requests: stop once less than this share of the budget is left
+    this.minBudget = options.minBudget ?? 0.3;
+    this.maxQueued = options.maxQueued || 20;
+  }
+
+  hasBudget() {
+    const { scheduler } = this.riotAPI;
+    return scheduler.getStats().queued < this.maxQueued && scheduler.remainingBudget() >= this.minBudget;
+  }
+
+  // Statistics are updated by the ingestion itself, so only rank needs a separate pass
+  async refreshPlayer(user) {
+    const { ingested, failed } = await this.matchIngestion.syncPlayer(user.puuid, user.platformRegion || 'eu', this.matchCount);
+
+    if (ingested.length > 0) {
+      await this.rankService.recordFromMatches(user.puuid, user.platformRegion);
+    }
+
+    const totalMatches = await Match.countDocuments({ puuid: user.puuid });
+    await User.updateOne(
+      { puuid: user.puuid },
+      { $set: { lastUpdated: new Date(), totalMatches } }
+    );
+
+    return {
+      puuid: user.puuid,
+      ingested: ingested.length,
+      failed: failed.length
+    };
+  }
+
+  // Refresh the stalest players (or just one, when a puuid is given)
+  async run({ puuid } = {}) {
+    const users = puuid
+      ? await User.find({ puuid }).lean()
+      : await User.find({ lastUpdated: { $lt: new Date(Date.now() - this.staleAfterMs) } })
+        .sort({ lastUpdated: 1 })
+        .limit(this.batchSize)
+        .lean();
+
+    return await this.refreshUsers(users, { force: !!puuid });
+  }
+
+  // Refresh live-followed players that haven't been polled within followedStaleAfterMs
+  async runFollowed(puuids) {
+    const users = puuids.length > 0
+      ? await User.find({
+        puuid: { $in: puuids },
+        lastUpdated: { $lt: new Date(Date.now() - this.followedStaleAfterMs) }
+      })
+        .sort({ lastUpdated: 1 })
+        .limit(this.batchSize)
+        .lean()
+      : [];
+
+    return await this.refreshUsers(users);
+  }
+
+  // Forced refreshes ignore the rate budget; background ones stop when it runs low
+  async refreshUsers(users, { force = false } = {}) {
+    const refreshed = [];
+    const errors = [];
+    let deferred = 0;
+
+    for (const user of users) {
+      if (!force && !this.hasBudget()) {
+        deferred = users.length - refreshed.length - errors.length;
+        break;
+      }
+
+      try {
+        refreshed.push(await this.refreshPlayer(user));
+      } catch (error) {
+        console.error(`Failed to refresh ${user.puuid}:`, error.message);
+        errors.push({ puuid: user.puuid, error: error.message });
+      }
+    }
+
+    return {
+      refreshed,
+      errors,
+      deferred
+    };
+  }
+}
+
+module.exports = PlayerRefreshService;
@@ -0,0 +1,158 @@
+const { Match, RankHistory } = require('../models');
+const { flattenActs } = require('./contentCatalog');
+
+// Competitive tier numbers as used in match payloads since Episode 5
+const TIER_DIVISIONS = ['Iron', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond', 'Ascendant', 'Immortal'];
+const DEFAULT_TIER_NAMES = { 0: 'Unranked', 1: 'Unused 1', 2: 'Unused 2', 27: 'Radiant' };
+TIER_DIVISIONS.forEach((division, index) => {
+  [1, 2, 3].forEach(level => {
+    DEFAULT_TIER_NAMES[3 + index * 3 + level - 1] = `${division} ${level}`;
+  });
+});
+
+class RankService {
+  constructor(riotAPI, liveUpdates = null) {
+    this.riotAPI = riotAPI;
+    this.liveUpdates = liveUpdates;
+  }
+
+  // Tier and act names, preferring whatever the content endpoint knows about
+  async getNames(region = 'eu') {
+    const tiers = { ...DEFAULT_TIER_NAMES };
+    const acts = {};
+
+    try {
+      const content = await this.riotAPI.getContent(region);
+
+      (content.competitiveTiers || []).forEach(tier => {
+        if (tier.tier !== undefined && (tier.tierName || tier.name)) {
+          tiers[tier.tier] = tier.tierName || tier.name;
+        }
+      });
+
+      const names = {};
+      flattenActs(content.acts).forEach(act => {
+        names[act.id.toLowerCase()] = act;
+      });
+      Object.values(names).forEach(act => {
+        if (act.type && act.type !== 'act') return;
+        const episode = act.parentId ? names[act.parentId.toLowerCase()] : null;
+        acts[act.id.toLowerCase()] = episode ? `${episode.name} ${act.name}` : act.name;
+      });
+    } catch (error) {
+      console.error('Content unavailable for rank names:', error.message);
+    }
+
+    return { tiers, acts };
+  }
+
+  // Record a RankHistory entry for every stored competitive match not recorded yet
+  async recordFromMatches(puuid, region = 'eu') {
+    const recorded = await RankHistory.distinct('matchId', { puuid, matchId: { $ne: null } });
+    const rows = await Match.find({
+      puuid,
+      queueId: 'competitive',
+      competitiveTier: { $gt: 0 },
+      matchId: { $nin: recorded }
+    })
+      .select('matchId competitiveTier seasonId gameStartTime')
+      .lean();
+
+    if (rows.length === 0) return 0;
+
+    const previous = await RankHistory.findOne({ puuid, matchId: { $ne: null } })
+      .sort({ recordedAt: -1 })
+      .lean();
+    const { tiers } = await this.getNames(region);
+    await RankHistory.bulkWrite(rows.map(row => ({
+      updateOne: {
+        filter: { puuid, matchId: row.matchId },
+        update: {
+          $set: {
+            puuid,
+            matchId: row.matchId,
+            currentTier: row.competitiveTier,
+            currentTierName: tiers[row.competitiveTier] || null,
+            competitiveSeason: row.seasonId,
+            recordedAt: row.gameStartTime
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    // Only the newest game says where the player stands now
+    const latest = rows.reduce((newest, row) => (row.gameStartTime > newest.gameStartTime ? row : newest));
+    const isNewer = !previous || latest.gameStartTime > previous.recordedAt;
+    if (this.liveUpdates && previous && isNewer && latest.competitiveTier !== previous.currentTier) {
+      this.liveUpdates.publish(puuid, 'rank', {
+        matchId: latest.matchId,
+        seasonId: latest.seasonId,
+        previousTier: previous.currentTier,
+        previousTierName: tiers[previous.currentTier] || null,
+        currentTier: latest.competitiveTier,
+        currentTierName: tiers[latest.competitiveTier] || null,
+        direction: latest.competitiveTier > previous.currentTier ? 'up' : 'down'
+      });
+    }
+
+    return rows.length;
+  }
+
+  // Current rank, peak rank per act and the tier trajectory over the last `limit` games
+  async getRankSummary(puuid, region = 'eu', limit = 50) {
+    const { tiers, acts } = await this.getNames(region);
+    const describe = tier => ({ tier, tierName: tiers[tier] || null });
+
+    const history = await RankHistory.find({ puuid, matchId: { $ne: null } })
+      .sort({ recordedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const peaks = await RankHistory.aggregate([
+      { $match: { puuid, matchId: { $ne: null } } },
+      { $sort: { currentTier: -1, recordedAt: 1 } },
+      {
+        $group: {
+          _id: '$competitiveSeason',
+          peakTier: { $first: '$currentTier' },
+          reachedAt: { $first: '$recordedAt' },
+          lastPlayed: { $max: '$recordedAt' },
+          matches: { $sum: 1 }
+        }
+      },
+      { $sort: { lastPlayed: -1 } }
+    ]);
+
+    const latest = history[0];
+
+    return {
+      current: latest ? {
+        ...describe(latest.currentTier),
+        actId: latest.competitiveSeason,
+        actName: acts[latest.competitiveSeason?.toLowerCase()] || null,
+        matchId: latest.matchId,
+        recordedAt: latest.recordedAt
+      } : null,
+      peakByAct: peaks.map(peak => ({
+        actId: peak._id,
+        actName: acts[peak._id?.toLowerCase()] || null,
+        ...describe(peak.peakTier),
+        reachedAt: peak.reachedAt,
+        matches: peak.matches
+      })),
+      trajectory: history.reverse().map((entry, index, entries) => ({
+        matchId: entry.matchId,
+        date: entry.recordedAt,
+        actId: entry.competitiveSeason,
+        ...describe(entry.currentTier),
+        change: index > 0 ? entry.currentTier - entries[index - 1].currentTier : 0
+      }))
+    };
+  }
+}
+
+RankService.TIER_NAMES = DEFAULT_TIER_NAMES;
+RankService.TIER_DIVISIONS = TIER_DIVISIONS;
+
+module.exports = RankService;
@@ -0,0 +1,108 @@
+const { User } = require('../models');
+const { ValidationError } = require('./errors');
+
+// account-v1 routing clusters
+const CLUSTERS = ['americas', 'asia', 'europe', 'esports'];
+
+// VALORANT shards and the account-v1 cluster closest to each
+const SHARD_CLUSTERS = {
+  na: 'americas',
+  latam: 'americas',
+  br: 'americas',
+  eu: 'europe',
+  ap: 'asia',
+  kr: 'asia',
+  esports: 'esports'
+};
+
+const SHARDS = Object.keys(SHARD_CLUSTERS);
+
+function invalidRegion(name, value, allowed) {
+  return new ValidationError(`Invalid ${name} "${value}", expected one of: ${allowed.join(', ')}`);
+}
+
+// Validate an optional cluster value (region=europe); returns it lowercased
+function assertCluster(value, name = 'region') {
+  if (value === undefined || value === null || value === '') return undefined;
+  const cluster = String(value).toLowerCase();
+  if (!CLUSTERS.includes(cluster)) throw invalidRegion(name, value, CLUSTERS);
+  return cluster;
+}
+
+// Validate an optional shard value (platformRegion=eu); returns it lowercased
+function assertShard(value, name = 'platformRegion') {
+  if (value === undefined || value === null || value === '') return undefined;
+  const shard = String(value).toLowerCase();
+  if (!SHARDS.includes(shard)) throw invalidRegion(name, value, SHARDS);
+  return shard;
+}
+
+function clusterForShard(shard) {
+  return SHARD_CLUSTERS[shard] || 'europe';
+}
+
+// Works out which shard and routing cluster a player lives on: explicit query values win,
+// then what's stored on the User, then Riot's active-shard lookup (stored for next time).
+// `resolved` says whether the shard is known to be the player's own rather than a guess or override.
+class RegionService {
+  constructor(riotAPI) {
+    this.riotAPI = riotAPI;
+  }
+
+  async resolve(puuid, { region, platformRegion } = {}) {
+    const cluster = assertCluster(region);
+    const shard = assertShard(platformRegion);
+
+    if (shard) {
+      return { region: cluster || clusterForShard(shard), platformRegion: shard, resolved: false };
+    }
+
+    const stored = await this.storedRegions(puuid);
+    return {
+      region: cluster || stored.region,
+      platformRegion: stored.platformRegion,
+      resolved: !cluster && stored.resolved
+    };
+  }
+
+  async storedRegions(puuid) {
+    const user = await User.findOne({ puuid }).select('region platformRegion shardResolvedAt').lean();
+    if (user?.shardResolvedAt) {
+      return { region: user.region, platformRegion: user.platformRegion, resolved: true };
+    }
+
+    const resolved = await this.lookup(puuid);
+    if (user && resolved.resolved) {
+      await User.updateOne(
+        { puuid },
+        { $set: { region: resolved.region, platformRegion: resolved.platformRegion, shardResolvedAt: new Date() } }
+      );
+    }
+    return resolved;
+  }
+
+  // Ask Riot for the player's active shard; players who never played VALORANT have none
+  async lookup(puuid) {
+    try {
+      const { activeShard } = await this.riotAPI.getActiveShard(puuid);
+      const shard = activeShard ? activeShard.toLowerCase() : null;
+
+      if (shard && SHARD_CLUSTERS[shard]) {
+        return { region: clusterForShard(shard), platformRegion: shard, resolved: true };
+      }
+    } catch (error) {
+      console.error(`Could not resolve active shard for ${puuid}:`, error.message);
+    }
+
+    return { region: 'europe', platformRegion: 'eu', resolved: false };
+  }
+}
+
+RegionService.CLUSTERS = CLUSTERS;
+RegionService.SHARDS = SHARDS;
+RegionService.SHARD_CLUSTERS = SHARD_CLUSTERS;
+RegionService.assertCluster = assertCluster;
+RegionService.assertShard = assertShard;
+RegionService.clusterForShard = clusterForShard;
+
+module.exports = RegionService;
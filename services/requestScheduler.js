@@ -0,0 +1,315 @@
+const axios = require('axios');
+
+// Path segments after which the rest of a Riot URL is a variable (puuid, match ID, name...)
+const METHOD_MARKERS = new Set(['by-riot-id', 'by-puuid', 'by-act', 'matches', 'by-game', 'by-queue']);
+
+// Parse "20:1,100:120" into [{ limit: 20, seconds: 1 }, { limit: 100, seconds: 120 }]
+function parseRateLimitHeader(header) {
+  if (!header) return [];
+  return String(header).split(',')
+    .map(part => part.trim().split(':').map(Number))
+    .filter(([limit, seconds]) => limit > 0 && seconds > 0)
+    .map(([limit, seconds]) => ({ limit, seconds }));
+}
+
+// Reduce a Riot URL to its rate-limited method, e.g. "/val/match/v1/matches"
+function methodKeyFor(url) {
+  const { pathname } = new URL(url);
+  const key = [];
+  for (const segment of pathname.split('/').filter(Boolean)) {
+    key.push(segment);
+    if (METHOD_MARKERS.has(segment)) break;
+  }
+  return '/' + key.join('/');
+}
+
+// Equal jitter: a random delay between half and all of the capped exponential delay
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+class RiotRequestScheduler {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 30000;
+    this.maxConcurrent = options.maxConcurrent ?? 10;
+    this.timeout = options.timeout ?? 10000;
+    // Dev keys start at 20 req/1s and 100 req/2min until Riot tells us otherwise
+    this.defaultAppLimits = parseRateLimitHeader(options.appLimits || '20:1,100:120');
+
+    this.hosts = new Map();
+    this.inFlight = new Map();
+  }
+
+  // Per-host (routing region) state: app limit windows, method windows and the queue
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        host,
+        queue: [],
+        active: 0,
+        timer: null,
+        app: { windows: this.createWindows(this.defaultAppLimits), blockedUntil: 0 },
+        methods: new Map()
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  methodState(state, method) {
+    if (!state.methods.has(method)) {
+      state.methods.set(method, { windows: [], blockedUntil: 0 });
+    }
+    return state.methods.get(method);
+  }
+
+  createWindows(limits, previous = []) {
+    return limits.map(({ limit, seconds }) => {
+      const existing = previous.find(w => w.seconds === seconds);
+      return existing
+        ? { ...existing, limit }
+        : { limit, seconds, count: 0, resetAt: 0 };
+    });
+  }
+
+  // How long until a bucket lets another request through
+  bucketDelay(bucket, now) {
+    let delay = Math.max(bucket.blockedUntil - now, 0);
+    bucket.windows.forEach(window => {
+      if (now >= window.resetAt) return;
+      if (window.count >= window.limit) {
+        delay = Math.max(delay, window.resetAt - now);
+      }
+    });
+    return delay;
+  }
+
+  consume(bucket, now) {
+    bucket.windows.forEach(window => {
+      if (now >= window.resetAt) {
+        window.count = 0;
+        window.resetAt = now + window.seconds * 1000;
+      }
+      window.count++;
+    });
+  }
+
+  // Sync our local windows with the limits and counts Riot reports
+  applyHeaders(bucket, limitHeader, countHeader) {
+    const limits = parseRateLimitHeader(limitHeader);
+    if (limits.length === 0) return;
+
+    bucket.windows = this.createWindows(limits, bucket.windows);
+    const now = Date.now();
+    parseRateLimitHeader(countHeader).forEach(({ limit: count, seconds }) => {
+      const window = bucket.windows.find(w => w.seconds === seconds);
+      if (!window) return;
+      if (now >= window.resetAt) {
+        window.resetAt = now + seconds * 1000;
+        window.count = count;
+      } else {
+        window.count = Math.max(window.count, count);
+      }
+    });
+  }
+
+  // Queue a GET request; identical requests already in flight share one promise
+  request(url, headers = {}) {
+    if (this.inFlight.has(url)) {
+      return this.inFlight.get(url);
+    }
+
+    const { host } = new URL(url);
+    const promise = new Promise((resolve, reject) => {
+      const state = this.hostState(host);
+      state.queue.push({
+        url,
+        headers,
+        method: methodKeyFor(url),
+        attempt: 0,
+        notBefore: 0,
+        resolve,
+        reject
+      });
+      this.pump(state);
+    }).finally(() => {
+      this.inFlight.delete(url);
+    });
+
+    this.inFlight.set(url, promise);
+    return promise;
+  }
+
+  // Send every queued request the limits currently allow, then wait for the next opening
+  pump(state) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+
+    const now = Date.now();
+    let wait = Infinity;
+
+    for (let i = 0; i < state.queue.length && state.active < this.maxConcurrent;) {
+      const job = state.queue[i];
+      const method = this.methodState(state, job.method);
+      const delay = Math.max(
+        job.notBefore - now,
+        this.bucketDelay(state.app, now),
+        this.bucketDelay(method, now)
+      );
+
+      if (delay > 0) {
+        wait = Math.min(wait, delay);
+        i++;
+        continue;
+      }
+
+      state.queue.splice(i, 1);
+      this.consume(state.app, now);
+      this.consume(method, now);
+      this.send(state, job);
+    }
+
+    if (state.queue.length > 0 && wait !== Infinity) {
+      state.timer = setTimeout(() => this.pump(state), wait);
+    }
+  }
+
+  async send(state, job) {
+    state.active++;
+
+    try {
+      const response = await axios.get(job.url, {
+        headers: job.headers,
+        timeout: this.timeout
+      });
+      this.recordHeaders(state, job, response.headers);
+      job.resolve(response.data);
+    } catch (error) {
+      if (error.response) {
+        this.recordHeaders(state, job, error.response.headers);
+      }
+
+      const delay = this.retryDelay(state, job, error);
+      if (delay === null) {
+        job.reject(error);
+      } else {
+        job.attempt++;
+        job.notBefore = Date.now() + delay;
+        state.queue.unshift(job);
+      }
+    } finally {
+      state.active--;
+      this.pump(state);
+    }
+  }
+
+  recordHeaders(state, job, headers = {}) {
+    this.applyHeaders(state.app, headers['x-app-rate-limit'], headers['x-app-rate-limit-count']);
+    this.applyHeaders(
+      this.methodState(state, job.method),
+      headers['x-method-rate-limit'],
+      headers['x-method-rate-limit-count']
+    );
+  }
+
+  // Decide whether (and how long until) a failed request is retried; null means give up
+  retryDelay(state, job, error) {
+    if (job.attempt >= this.maxRetries) return null;
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const retryAfter = Number(error.response.headers?.['retry-after']);
+      const delay = retryAfter > 0
+        ? retryAfter * 1000
+        : backoffDelay(job.attempt, this.baseDelay, this.maxDelay);
+
+      // Block the whole bucket Riot says we exhausted, not just this request
+      const limitType = error.response.headers?.['x-rate-limit-type'];
+      const until = Date.now() + delay;
+      if (limitType === 'application') {
+        state.app.blockedUntil = Math.max(state.app.blockedUntil, until);
+      } else if (limitType === 'method') {
+        const method = this.methodState(state, job.method);
+        method.blockedUntil = Math.max(method.blockedUntil, until);
+      }
+      return delay;
+    }
+
+    // 5xx and network failures are worth another try; other 4xx are not
+    if (!status || status >= 500) {
+      return backoffDelay(job.attempt, this.baseDelay, this.maxDelay);
+    }
+
+    return null;
+  }
+
+  describeBucket(bucket, now) {
+    return {
+      blockedFor: Math.max(bucket.blockedUntil - now, 0),
+      windows: bucket.windows.map(window => {
+        const expired = now >= window.resetAt;
+        return {
+          limit: window.limit,
+          seconds: window.seconds,
+          remaining: expired ? window.limit : Math.max(window.limit - window.count, 0),
+          resetIn: expired ? 0 : window.resetAt - now
+        };
+      })
+    };
+  }
+
+  // Queue depth and remaining budget, for monitoring
+  getStats() {
+    const now = Date.now();
+    const hosts = {};
+    let queued = 0;
+    let active = 0;
+
+    this.hosts.forEach((state, host) => {
+      queued += state.queue.length;
+      active += state.active;
+
+      const methods = {};
+      state.methods.forEach((bucket, method) => {
+        methods[method] = this.describeBucket(bucket, now);
+      });
+
+      hosts[host] = {
+        queued: state.queue.length,
+        active: state.active,
+        app: this.describeBucket(state.app, now),
+        methods
+      };
+    });
+
+    return {
+      queued,
+      active,
+      inFlight: this.inFlight.size,
+      hosts
+    };
+  }
+
+  // Smallest share of the app budget left on any host (1 = untouched, 0 = exhausted)
+  remainingBudget() {
+    const now = Date.now();
+    let ratio = 1;
+
+    this.hosts.forEach(state => {
+      if (state.app.blockedUntil > now) ratio = 0;
+      state.app.windows.forEach(window => {
+        if (now >= window.resetAt) return;
+        ratio = Math.min(ratio, Math.max(window.limit - window.count, 0) / window.limit);
+      });
+    });
+
+    return ratio;
+  }
+}
+
+module.exports = RiotRequestScheduler;
@@ -1,51 +1,138 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
-
-// Cache for 5 minutes
-const cache = new NodeCache({ stdTTL: 300 });
+const { normalizeMatch } = require('./matchNormalizer');
+const { analyzeMatch, summarizeWeapon, WEAPON_FIELDS } = require('./roundAnalytics');
+const RiotRequestScheduler = require('./requestScheduler');
+const { createCache, policyFor, isFresh } = require('./cache');
+const { flattenActs } = require('./contentCatalog');
+const KeyPool = require('./keyPool');
+const { UpstreamAuthFailedError } = require('./errors');
 
 class RiotAPIService {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
+  // apiKey: a KeyPool, an array of keys or a single key
+  constructor(apiKey, options = {}) {
+    if (apiKey instanceof KeyPool) {
+      this.keys = apiKey;
+    } else {
+      this.keys = new KeyPool((Array.isArray(apiKey) ? apiKey : [apiKey]).filter(Boolean));
+    }
+    this.cache = options.cache || createCache('memory');
+    this.revalidating = new Set();
+    this.scheduler = options.scheduler || new RiotRequestScheduler({
+      appLimits: process.env.RIOT_APP_RATE_LIMIT
+    });
+    // account-v1 routing clusters
     this.regions = {
       europe: 'https://europe.api.riotgames.com',
       americas: 'https://americas.api.riotgames.com',
       asia: 'https://asia.api.riotgames.com',
-      ap: 'https://ap.api.riotgames.com'
+      esports: 'https://esports.api.riotgames.com'
     };
+    // VALORANT shards
     this.platformUrls = {
       eu: 'https://eu.api.riotgames.com',
       na: 'https://na.api.riotgames.com',
+      latam: 'https://latam.api.riotgames.com',
+      br: 'https://br.api.riotgames.com',
       ap: 'https://ap.api.riotgames.com',
-      kr: 'https://kr.api.riotgames.com'
+      kr: 'https://kr.api.riotgames.com',
+      esports: 'https://esports.api.riotgames.com'
     };
   }
 
-  // Helper function to make API requests with caching
+  // Helper function to make API requests with caching, queued through the rate-limit scheduler.
+  // The TTL comes from the policy for the cache key's resource prefix; stale entries are
+  // served right away while a fresh copy is fetched in the background.
   async makeRequest(url, cacheKey = null) {
     if (cacheKey) {
-      const cached = cache.get(cacheKey);
-      if (cached) return cached;
+      const entry = await this.readCache(cacheKey);
+      if (entry) {
+        if (!isFresh(entry)) this.revalidate(url, cacheKey);
+        return entry.value;
+      }
     }
 
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'X-Riot-Token': this.apiKey
-        }
-      });
+      const data = await this.send(url);
 
       if (cacheKey) {
-        cache.set(cacheKey, response.data);
+        await this.writeCache(cacheKey, data);
       }
 
-      return response.data;
+      return data;
     } catch (error) {
       console.error('Riot API Error:', error.response?.data || error.message);
       throw error;
     }
   }
 
+  // Send a request with the first usable key, failing over to the next when Riot rejects it.
+  // 401 always means a bad key. A 403 can also mean the endpoint isn't enabled for the key,
+  // so a 403'd key is only marked invalid once another key gets through.
+  async send(url) {
+    const tried = new Set();
+    const forbidden = [];
+    let lastError = null;
+    let entry;
+
+    while ((entry = this.keys.next(tried))) {
+      tried.add(entry.id);
+      try {
+        const data = await this.scheduler.request(url, { 'X-Riot-Token': entry.key });
+        this.keys.recordSuccess(entry);
+        forbidden.forEach(rejected => this.keys.markInvalid(rejected, 403));
+        return data;
+      } catch (error) {
+        const status = error.response?.status;
+        if (status !== 401 && status !== 403) throw error;
+
+        this.keys.recordFailure(entry, status);
+        if (status === 401) {
+          this.keys.markInvalid(entry, status);
+        } else {
+          forbidden.push(entry);
+        }
+        lastError = error;
+      }
+    }
+
+    forbidden.forEach(rejected => this.keys.markSuspect(rejected));
+    throw lastError || new UpstreamAuthFailedError();
+  }
+
+  // A broken cache backend should slow us down, not take the API down
+  async readCache(cacheKey) {
+    try {
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      console.error('Cache read error:', error.message);
+      return null;
+    }
+  }
+
+  async writeCache(cacheKey, data) {
+    try {
+      await this.cache.set(cacheKey, data, policyFor(cacheKey));
+    } catch (error) {
+      console.error('Cache write error:', error.message);
+    }
+  }
+
+  // Refresh a stale cache entry without making the caller wait
+  revalidate(url, cacheKey) {
+    if (this.revalidating.has(cacheKey)) return;
+    this.revalidating.add(cacheKey);
+
+    this.send(url)
+      .then(data => this.writeCache(cacheKey, data))
+      .catch(error => console.error(`Revalidation failed for ${cacheKey}:`, error.message))
+      .finally(() => this.revalidating.delete(cacheKey));
+  }
+
+  // Get the shard a player's VALORANT account is active on ({ puuid, game, activeShard })
+  async getActiveShard(puuid, region = 'europe') {
+    const url = `${this.regions[region]}/riot/account/v1/active-shards/by-game/val/by-puuid/${puuid}`;
+    return await this.makeRequest(url, `shard:${puuid}`);
+  }
+
   // Get account by Riot ID (name#tag)
   async getAccountByRiotId(gameName, tagLine, region = 'europe') {
     const url = `${this.regions[region]}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
@@ -58,57 +145,28 @@ class RiotAPIService {
     return await this.makeRequest(url, `account:puuid:${puuid}`);
   }
 
-  // Get player MMR (Rank) - Official Riot API doesn't have this endpoint
-  // This is only available through unofficial APIs
-  async getPlayerMMR(puuid, region = 'eu') {
-    // Official Riot API doesn't provide MMR/Rank data directly
-    // Return null for now
-    return null;
+  // Get a player's match list (every recent match, newest first; Riot takes no paging or
+  // queue parameters, see MatchListService) - Official Riot API, served per shard
+  async getMatchHistory(puuid, platformRegion = 'eu') {
+    const url = `${this.platformUrls[platformRegion] || this.platformUrls.eu}/val/match/v1/matchlists/by-puuid/${puuid}`;
+    return await this.makeRequest(url, `matches:${puuid}`);
   }
 
-  // Get match history (last X matches) - Official Riot API
-  async getMatchHistory(puuid, region = 'europe', count = 20) {
-    const url = `${this.regions[region]}/val/match/v1/matchlists/by-puuid/${puuid}`;
-    return await this.makeRequest(url, `matches:${puuid}:${count}`);
-  }
-
-  // Get detailed match data
-  async getMatchDetails(matchId, region = 'europe') {
-    const url = `${this.regions[region]}/val/match/v1/matches/${matchId}`;
+  // Get detailed match data from the shard the match was played on
+  async getMatchDetails(matchId, platformRegion = 'eu') {
+    const url = `${this.platformUrls[platformRegion] || this.platformUrls.eu}/val/match/v1/matches/${matchId}`;
     return await this.makeRequest(url, `match:${matchId}`);
   }
 
-  // Get recent matches with full details
-  async getRecentMatchesWithDetails(puuid, region = 'europe', count = 10) {
-    try {
-      const matchHistory = await this.getMatchHistory(puuid, region, count);
-      
-      const matchDetails = await Promise.all(
-        matchHistory.history.map(match => 
-          this.getMatchDetails(match.matchId, region)
-        )
-      );
-
-      return matchDetails;
-    } catch (error) {
-      console.error('Error fetching match details:', error);
-      throw error;
-    }
-  }
-
   // Get content (maps, agents, weapons, etc.)
-  async getContent(region = 'eu') {
-    const url = `${this.platformUrls[region]}/val/content/v1/contents`;
-    return await this.makeRequest(url, 'content');
+  async getContent(region = 'eu', locale = null) {
+    const platformUrl = this.platformUrls[region] || this.platformUrls.eu;
+    const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+    const url = `${platformUrl}/val/content/v1/contents${query}`;
+    return await this.makeRequest(url, `content:${region}:${locale || 'default'}`);
   }
 
-  // Get competitive updates
-  async getCompetitiveUpdates(puuid, region = 'europe', queue = 'competitive', start = 0, end = 20) {
-    const url = `${this.regions[region]}/val/match/v1/matchlists/by-puuid/${puuid}?queue=${queue}&start=${start}&end=${end}`;
-    return await this.makeRequest(url, `competitive:${puuid}:${start}:${end}`);
-  }
-
-  // Calculate player statistics from matches
+  // Calculate player statistics from matches (official or unofficial payloads)
   calculatePlayerStats(matches, puuid) {
     const stats = {
       totalMatches: matches.length,
@@ -132,8 +190,8 @@ class RiotAPIService {
       recentMatches: []
     };
 
-    matches.forEach(match => {
-      const player = match.players.all_players.find(p => p.puuid === puuid);
+    matches.map(normalizeMatch).forEach(match => {
+      const player = match.players.find(p => p.puuid === puuid);
       if (!player) return;
 
       // Basic stats
@@ -143,18 +201,16 @@ class RiotAPIService {
       stats.totalScore += player.stats.score;
 
       // Rounds
-      const teams = match.teams;
-      const playerTeam = player.team.toLowerCase();
-      const team = teams[playerTeam];
-      
+      const team = match.teams.find(t => t.teamId === player.teamId);
+
       if (team) {
-        stats.roundsWon += team.rounds_won;
-        stats.roundsLost += team.rounds_lost;
-        stats.totalRounds += (team.rounds_won + team.rounds_lost);
+        stats.roundsWon += team.roundsWon;
+        stats.roundsLost += team.roundsLost;
+        stats.totalRounds += (team.roundsWon + team.roundsLost);
 
-        if (team.has_won) {
+        if (team.won) {
           stats.wins++;
-        } else if (teams.red?.rounds_won === teams.blue?.rounds_won) {
+        } else if (!match.teams.some(t => t.won)) {
           stats.draws++;
         } else {
           stats.losses++;
@@ -162,16 +218,17 @@ class RiotAPIService {
       }
 
       // Damage stats for headshot percentage
-      if (player.damage_made) {
-        stats.totalHeadshots += player.damage_made.headshots || 0;
-        stats.totalBodyshots += player.damage_made.bodyshots || 0;
-        stats.totalLegshots += player.damage_made.legshots || 0;
-      }
-
-      // Agent stats
-      const agentName = player.character;
-      if (!stats.agents[agentName]) {
-        stats.agents[agentName] = {
+      stats.totalHeadshots += player.damage.headshots;
+      stats.totalBodyshots += player.damage.bodyshots;
+      stats.totalLegshots += player.damage.legshots;
+
+      // Agent stats, keyed by agent ID so official payloads (ID only) and Henrik ones (ID and
+      // name) land on the same entry; the name is kept for output
+      const agentName = player.agentName || player.agentId;
+      const agentKey = player.agentId || player.agentName;
+      if (!stats.agents[agentKey]) {
+        stats.agents[agentKey] = {
+          name: null,
           matches: 0,
           wins: 0,
           kills: 0,
@@ -181,14 +238,16 @@ class RiotAPIService {
           winRate: 0
         };
       }
-      stats.agents[agentName].matches++;
-      stats.agents[agentName].kills += player.stats.kills;
-      stats.agents[agentName].deaths += player.stats.deaths;
-      stats.agents[agentName].assists += player.stats.assists;
-      if (team?.has_won) stats.agents[agentName].wins++;
+      const agentStats = stats.agents[agentKey];
+      if (player.agentName) agentStats.name = player.agentName;
+      agentStats.matches++;
+      agentStats.kills += player.stats.kills;
+      agentStats.deaths += player.stats.deaths;
+      agentStats.assists += player.stats.assists;
+      if (team?.won) agentStats.wins++;
 
       // Map stats
-      const mapName = match.metadata.map;
+      const mapName = match.mapName || match.mapId;
       if (!stats.maps[mapName]) {
         stats.maps[mapName] = {
           matches: 0,
@@ -203,25 +262,36 @@ class RiotAPIService {
       stats.maps[mapName].kills += player.stats.kills;
       stats.maps[mapName].deaths += player.stats.deaths;
       if (team) {
-        stats.maps[mapName].roundsWon += team.rounds_won;
-        stats.maps[mapName].roundsLost += team.rounds_lost;
-        if (team.has_won) stats.maps[mapName].wins++;
+        stats.maps[mapName].roundsWon += team.roundsWon;
+        stats.maps[mapName].roundsLost += team.roundsLost;
+        if (team.won) stats.maps[mapName].wins++;
       }
 
+      // Weapon stats from the match's round results
+      const analytics = analyzeMatch(match).players.find(p => p.puuid === puuid);
+      (analytics?.weapons || []).forEach(weapon => {
+        if (!stats.weapons[weapon.weaponId]) {
+          stats.weapons[weapon.weaponId] = Object.fromEntries(WEAPON_FIELDS.map(field => [field, 0]));
+        }
+        WEAPON_FIELDS.forEach(field => {
+          stats.weapons[weapon.weaponId][field] += weapon[field];
+        });
+      });
+
       // Recent match summary
       stats.recentMatches.push({
-        matchId: match.metadata.matchid,
+        matchId: match.matchId,
         map: mapName,
-        mode: match.metadata.mode,
-        date: new Date(match.metadata.game_start * 1000),
+        mode: match.mode,
+        date: match.gameStartTime,
         kills: player.stats.kills,
         deaths: player.stats.deaths,
         assists: player.stats.assists,
         score: player.stats.score,
         agent: agentName,
-        won: team?.has_won || false,
-        roundsWon: team?.rounds_won || 0,
-        roundsLost: team?.rounds_lost || 0
+        won: team?.won || false,
+        roundsWon: team?.roundsWon || 0,
+        roundsLost: team?.roundsLost || 0
       });
     });
 
@@ -240,10 +310,16 @@ class RiotAPIService {
     // Calculate agent-specific derived stats
     Object.keys(stats.agents).forEach(agent => {
       const agentStats = stats.agents[agent];
+      agentStats.name = agentStats.name || agent;
       agentStats.kd = agentStats.deaths > 0 ? (agentStats.kills / agentStats.deaths).toFixed(2) : agentStats.kills;
       agentStats.winRate = agentStats.matches > 0 ? ((agentStats.wins / agentStats.matches) * 100).toFixed(1) : 0;
     });
 
+    // Calculate weapon-specific derived stats
+    Object.keys(stats.weapons).forEach(weaponId => {
+      stats.weapons[weaponId] = summarizeWeapon(stats.weapons[weaponId]);
+    });
+
     // Calculate map-specific derived stats
     Object.keys(stats.maps).forEach(map => {
       const mapStats = stats.maps[map];
@@ -258,7 +334,9 @@ class RiotAPIService {
   }
 
   // Get comprehensive player profile
-  async getPlayerProfile(gameName, tagLine, region = 'europe', platformRegion = 'eu') {
+  // matchList: the MatchListService, which fetches the recent match details a bounded batch at
+  // a time and lists the ones that failed instead of dropping them
+  async getPlayerProfile(gameName, tagLine, region = 'europe', platformRegion = 'eu', matchList) {
     try {
       // Get account info
       const account = await this.getAccountByRiotId(gameName, tagLine, region);
@@ -267,18 +345,11 @@ class RiotAPIService {
 
       // Try to get match history
       let matches = [];
+      let failedMatches = [];
       try {
-        const matchHistory = await this.getMatchHistory(account.puuid, region, 5);
-        console.log('Match history response:', matchHistory);
-        
-        if (matchHistory && matchHistory.history && matchHistory.history.length > 0) {
-          // Get details for each match
-          const matchIds = matchHistory.history.slice(0, 5).map(m => m.matchId);
-          matches = await Promise.all(
-            matchIds.map(matchId => this.getMatchDetails(matchId, region).catch(e => null))
-          );
-          matches = matches.filter(m => m !== null);
-        }
+        const recent = await matchList.getMatchesWithDetails(account.puuid, platformRegion, { count: 5 });
+        matches = recent.matches;
+        failedMatches = recent.failed;
       } catch (error) {
         console.log('Match history not available:', error.message);
       }
@@ -308,8 +379,9 @@ class RiotAPIService {
           gameName: account.gameName,
           tagLine: account.tagLine
         },
-        rank: null, // Official API doesn't provide rank data
+        rank: null, // Filled in from stored competitive matches, see RankService
         statistics: stats,
+        failedMatches,
         lastUpdated: new Date()
       };
     } catch (error) {
@@ -333,12 +405,10 @@ class RiotAPIService {
   // Get current competitive act ID
   async getCurrentAct(region = 'eu') {
     try {
-      const platformUrl = this.platformUrls[region] || this.platformUrls.eu;
-      const url = `${platformUrl}/val/content/v1/contents`;
-      const content = await this.makeRequest(url, `acts:${region}`);
+      const content = await this.getContent(region);
       
-      // Find current competitive act
-      const acts = content.acts || [];
+      // Find current competitive act (acts may be nested under their episode)
+      const acts = flattenActs(content.acts);
       const currentAct = acts.find(act => act.isActive && act.type === 'act');
       
       return currentAct ? currentAct.id : null;
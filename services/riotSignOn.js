@@ -0,0 +1,78 @@
+const axios = require('axios');
+const { AppError, ValidationError, UpstreamError } = require('./errors');
+
+const AUTHORIZE_URL = 'https://auth.riotgames.com/authorize';
+const TOKEN_URL = 'https://auth.riotgames.com/token';
+// account-v1 answers /accounts/me on any cluster
+const ACCOUNT_URL = 'https://europe.api.riotgames.com/riot/account/v1/accounts/me';
+const TIMEOUT_MS = 10 * 1000;
+
+// Riot Sign On (RSO): the player signs in at Riot, Riot redirects back with a one-time code,
+// and the code buys an access token for that player's own account. It proves who owns a
+// Riot ID without the player having to change anything on it.
+class RiotSignOnService {
+  constructor({ clientId, clientSecret, redirectUri } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+  }
+
+  get configured() {
+    return !!(this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  assertConfigured() {
+    if (!this.configured) {
+      throw new AppError('Riot Sign On is not configured on this server', { status: 503, code: 'RSO_NOT_CONFIGURED' });
+    }
+  }
+
+  // Where to send the player; state comes back untouched on the redirect
+  authorizeUrl(state) {
+    this.assertConfigured();
+    const url = new URL(AUTHORIZE_URL);
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('scope', 'openid');
+    url.searchParams.set('state', state);
+    return url.toString();
+  }
+
+  // The signed-in player's account ({ puuid, gameName, tagLine }) for a code from the redirect
+  async getAccount(code) {
+    this.assertConfigured();
+
+    let accessToken;
+    try {
+      const response = await axios.post(TOKEN_URL, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri
+      }).toString(), {
+        auth: { username: this.clientId, password: this.clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: TIMEOUT_MS
+      });
+      accessToken = response.data.access_token;
+    } catch (error) {
+      // invalid_grant: the code was used already, expired or belongs to another redirect
+      if (error.response?.status === 400) {
+        throw new ValidationError('The Riot sign-in code is invalid or has expired; sign in again');
+      }
+      throw new UpstreamError('Riot Sign On is unavailable');
+    }
+
+    try {
+      const response = await axios.get(ACCOUNT_URL, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: TIMEOUT_MS
+      });
+      return response.data;
+    } catch (error) {
+      throw new UpstreamError('Riot did not return the signed-in account');
+    }
+  }
+}
+
+module.exports = RiotSignOnService;
@@ -0,0 +1,276 @@
+// Round-by-round analytics from a normalized match's rounds
+// (first bloods, clutches, multi-kills, KAST, plants/defuses, economy, weapons and side win rates)
+
+// A death counts as traded when the killer dies within this window
+const TRADE_WINDOW_MS = 5000;
+
+// Rounds per half for queues that don't play the standard 12
+const HALF_LENGTHS = {
+  swiftplay: 4,
+  spikerush: 3
+};
+
+// Red attacks first; sides swap at half time and every round in overtime
+function sideFor(teamId, roundNum, halfLength = 12) {
+  const regulation = halfLength * 2;
+  const half = roundNum < regulation
+    ? Math.floor(roundNum / halfLength)
+    : (roundNum - regulation) % 2;
+  const redAttacks = half === 0;
+
+  if (teamId === 'Red') return redAttacks ? 'attack' : 'defense';
+  if (teamId === 'Blue') return redAttacks ? 'defense' : 'attack';
+  return null;
+}
+
+function emptyPlayerAnalytics(player) {
+  return {
+    puuid: player.puuid,
+    gameName: player.gameName,
+    tagLine: player.tagLine,
+    teamId: player.teamId,
+    agent: player.agentName || player.agentId,
+    roundsPlayed: 0,
+    score: player.stats.score,
+    damage: 0,
+    firstBloods: 0,
+    firstDeaths: 0,
+    kastRounds: 0,
+    plants: 0,
+    defuses: 0,
+    multiKills: { 2: 0, 3: 0, 4: 0, 5: 0 },
+    clutches: { attempts: 0, won: 0, byOpponents: {} },
+    economy: { totalLoadout: 0, totalSpent: 0 },
+    weapons: {},
+    attack: { roundsPlayed: 0, roundsWon: 0 },
+    defense: { roundsPlayed: 0, roundsWon: 0 }
+  };
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function perRound(total, rounds) {
+  return rounds > 0 ? Math.round((total / rounds) * 10) / 10 : 0;
+}
+
+// Per-weapon totals kept for each player (and stored on their Match row)
+const WEAPON_FIELDS = ['kills', 'rounds', 'damage', 'headshots', 'bodyshots', 'legshots', 'loadoutValue'];
+
+// Kills are credited to the weapon that finished them; abilities, the spike and falls go
+// under their damage type instead
+function killWeapon(kill) {
+  if (kill.weaponId && (!kill.damageType || kill.damageType === 'Weapon' || kill.damageType === 'Melee')) {
+    return kill.weaponId;
+  }
+  return kill.damageType || null;
+}
+
+function weaponEntry(stats, weaponId) {
+  if (!stats.weapons[weaponId]) {
+    stats.weapons[weaponId] = { weaponId };
+    WEAPON_FIELDS.forEach(field => {
+      stats.weapons[weaponId][field] = 0;
+    });
+  }
+  return stats.weapons[weaponId];
+}
+
+// Derived weapon stats from WEAPON_FIELDS totals. Damage entries don't say what dealt them, so
+// damage and shots count toward the weapon the player carried into the round; efficiency is
+// damage per 1,000 credits of loadout value in those rounds
+function summarizeWeapon(totals) {
+  const shots = totals.headshots + totals.bodyshots + totals.legshots;
+  return {
+    ...totals,
+    headshotPercentage: percentage(totals.headshots, shots),
+    damagePerRound: perRound(totals.damage, totals.rounds),
+    efficiency: perRound(totals.damage * 1000, totals.loadoutValue)
+  };
+}
+
+// Replay one round's kills to find first blood, trades, clutches and multi-kills
+function analyzeRound(round, match, players, halfLength) {
+  const teamOf = {};
+  match.players.forEach(player => {
+    teamOf[player.puuid] = player.teamId;
+  });
+
+  const kills = [];
+  round.playerStats.forEach(ps => kills.push(...ps.kills));
+  kills.sort((a, b) => (a.roundTime || 0) - (b.roundTime || 0));
+
+  const participants = round.playerStats.map(ps => ps.puuid).filter(puuid => players[puuid]);
+  const alive = new Set(participants);
+  const kast = new Set();
+  const killsBy = {};
+  const clutchers = {};
+
+  kills.forEach((kill, index) => {
+    if (kill.killer && kill.killer !== kill.victim) {
+      killsBy[kill.killer] = (killsBy[kill.killer] || 0) + 1;
+      kast.add(kill.killer);
+      const weaponId = killWeapon(kill);
+      if (weaponId && players[kill.killer]) weaponEntry(players[kill.killer], weaponId).kills++;
+    }
+    (kill.assistants || []).forEach(puuid => kast.add(puuid));
+
+    // Traded: the victim's killer is killed by the victim's team shortly after
+    const trade = kills.slice(index + 1).find(later =>
+      later.victim === kill.killer &&
+      teamOf[later.killer] === teamOf[kill.victim] &&
+      (later.roundTime || 0) - (kill.roundTime || 0) <= TRADE_WINDOW_MS
+    );
+    if (trade) kast.add(kill.victim);
+
+    alive.delete(kill.victim);
+
+    // The first time a team is down to one player facing at least one opponent, it's a clutch
+    const aliveByTeam = {};
+    alive.forEach(puuid => {
+      const teamId = teamOf[puuid];
+      (aliveByTeam[teamId] = aliveByTeam[teamId] || []).push(puuid);
+    });
+    Object.keys(aliveByTeam).forEach(teamId => {
+      const teammates = aliveByTeam[teamId];
+      const opponents = alive.size - teammates.length;
+      if (teammates.length === 1 && opponents > 0 && !Object.values(clutchers).some(c => c.teamId === teamId)) {
+        clutchers[teammates[0]] = { teamId, opponents };
+      }
+    });
+  });
+
+  // Survivors keep the S in KAST
+  alive.forEach(puuid => kast.add(puuid));
+
+  const firstKill = kills.find(kill => kill.killer && kill.killer !== kill.victim);
+  const economy = {};
+  const damage = {};
+
+  round.playerStats.forEach(ps => {
+    damage[ps.puuid] = ps.damage.reduce((totals, d) => ({
+      damage: totals.damage + d.damage,
+      headshots: totals.headshots + d.headshots,
+      bodyshots: totals.bodyshots + d.bodyshots,
+      legshots: totals.legshots + d.legshots
+    }), { damage: 0, headshots: 0, bodyshots: 0, legshots: 0 });
+    if (ps.economy) economy[ps.puuid] = ps.economy;
+  });
+
+  participants.forEach(puuid => {
+    const stats = players[puuid];
+    const side = sideFor(stats.teamId, round.roundNum, halfLength);
+    const won = round.winningTeam === stats.teamId;
+
+    stats.roundsPlayed++;
+    stats.damage += damage[puuid]?.damage || 0;
+    if (kast.has(puuid)) stats.kastRounds++;
+    if (killsBy[puuid] >= 2) stats.multiKills[Math.min(killsBy[puuid], 5)]++;
+    if (economy[puuid]) {
+      stats.economy.totalLoadout += economy[puuid].loadoutValue;
+      stats.economy.totalSpent += economy[puuid].spent;
+    }
+    if (economy[puuid]?.weapon) {
+      const weapon = weaponEntry(stats, economy[puuid].weapon);
+      weapon.rounds++;
+      weapon.loadoutValue += economy[puuid].loadoutValue;
+      if (damage[puuid]) {
+        weapon.damage += damage[puuid].damage;
+        weapon.headshots += damage[puuid].headshots;
+        weapon.bodyshots += damage[puuid].bodyshots;
+        weapon.legshots += damage[puuid].legshots;
+      }
+    }
+    if (side) {
+      stats[side].roundsPlayed++;
+      if (won) stats[side].roundsWon++;
+    }
+  });
+
+  if (firstKill) {
+    if (players[firstKill.killer]) players[firstKill.killer].firstBloods++;
+    if (players[firstKill.victim]) players[firstKill.victim].firstDeaths++;
+  }
+  if (round.planter && players[round.planter]) players[round.planter].plants++;
+  if (round.defuser && players[round.defuser]) players[round.defuser].defuses++;
+
+  Object.keys(clutchers).forEach(puuid => {
+    const { teamId, opponents } = clutchers[puuid];
+    const clutches = players[puuid].clutches;
+    const key = `1v${opponents}`;
+    clutches.attempts++;
+    clutches.byOpponents[key] = clutches.byOpponents[key] || { attempts: 0, won: 0 };
+    clutches.byOpponents[key].attempts++;
+    if (round.winningTeam === teamId) {
+      clutches.won++;
+      clutches.byOpponents[key].won++;
+    }
+  });
+
+  return {
+    roundNum: round.roundNum,
+    winningTeam: round.winningTeam,
+    resultCode: round.resultCode,
+    plantSite: round.plantSite,
+    planter: round.planter,
+    defuser: round.defuser,
+    firstBlood: firstKill ? { killer: firstKill.killer, victim: firstKill.victim, roundTime: firstKill.roundTime } : null,
+    clutch: Object.keys(clutchers).map(puuid => ({
+      puuid,
+      opponents: clutchers[puuid].opponents,
+      won: round.winningTeam === clutchers[puuid].teamId
+    })),
+    sides: {
+      Red: sideFor('Red', round.roundNum, halfLength),
+      Blue: sideFor('Blue', round.roundNum, halfLength)
+    },
+    economy: Object.keys(economy).map(puuid => ({
+      puuid,
+      loadoutValue: economy[puuid].loadoutValue,
+      spent: economy[puuid].spent,
+      remaining: economy[puuid].remaining,
+      weapon: economy[puuid].weapon
+    })),
+    kills: kills.length
+  };
+}
+
+// Analyze every round of a normalized match; returns the round timeline and per-player totals
+function analyzeMatch(match) {
+  const halfLength = HALF_LENGTHS[match.queueId] || 12;
+  const players = {};
+  match.players.forEach(player => {
+    players[player.puuid] = emptyPlayerAnalytics(player);
+  });
+
+  const rounds = (match.rounds || []).map(round => analyzeRound(round, match, players, halfLength));
+
+  Object.values(players).forEach(stats => {
+    const rounds = stats.roundsPlayed;
+    stats.acs = perRound(stats.score, rounds);
+    stats.adr = perRound(stats.damage, rounds);
+    stats.kast = percentage(stats.kastRounds, rounds);
+    stats.economy.averageLoadout = perRound(stats.economy.totalLoadout, rounds);
+    stats.economy.averageSpent = perRound(stats.economy.totalSpent, rounds);
+    stats.attack.winRate = percentage(stats.attack.roundsWon, stats.attack.roundsPlayed);
+    stats.defense.winRate = percentage(stats.defense.roundsWon, stats.defense.roundsPlayed);
+    stats.weapons = Object.values(stats.weapons)
+      .map(summarizeWeapon)
+      .sort((a, b) => b.kills - a.kills || b.rounds - a.rounds);
+  });
+
+  return {
+    matchId: match.matchId,
+    rounds,
+    players: Object.values(players)
+  };
+}
+
+module.exports = {
+  analyzeMatch,
+  summarizeWeapon,
+  sideFor,
+  WEAPON_FIELDS,
+  TRADE_WINDOW_MS
+};
@@ -0,0 +1,191 @@
+const { User } = require('../models');
+
+// Candidates pulled from the indexes before fuzzy ranking
+const CANDIDATE_LIMIT = 200;
+// Lookups a month old count for half as much as today's
+const RECENCY_HALF_LIFE_MS = 30 * 24 * 60 * 60 * 1000;
+// Below this similarity a non-prefix candidate is dropped
+const MIN_SIMILARITY = 0.5;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length > 0 ? 1 - levenshtein(a, b) / length : 1;
+}
+
+// Split "name#tag" (either half may be missing) into case-folded search keys
+function parseQuery(query) {
+  const hash = query.lastIndexOf('#');
+  const name = hash >= 0 ? query.slice(0, hash) : query;
+  const tag = hash >= 0 ? query.slice(hash + 1) : null;
+  return {
+    name: User.searchKey(name),
+    tag: tag !== null ? User.searchKey(tag) : null
+  };
+}
+
+// Player search over stored Users: indexed prefix matching on the case-folded Riot ID, fuzzy
+// ranking by similarity, lookup count and recency, and a live Riot lookup for unknown exact IDs
+class SearchService {
+  constructor(riotAPI) {
+    this.riotAPI = riotAPI;
+  }
+
+  // Prefix candidates use the key indexes and are fetched first, so popular near-misses can't
+  // crowd them out; a shorter prefix then tops the list up with candidates for typos
+  async candidates({ name, tag }) {
+    const clauses = [];
+    if (name && tag !== null) {
+      clauses.push({ riotIdKey: new RegExp(`^${escapeRegex(`${name}#${tag}`)}`) });
+    } else if (name) {
+      clauses.push({ gameNameKey: new RegExp(`^${escapeRegex(name)}`) });
+    } else if (tag) {
+      clauses.push({ tagLineKey: new RegExp(`^${escapeRegex(tag)}`) });
+    }
+    if (name && tag === null) {
+      clauses.push({ tagLineKey: new RegExp(`^${escapeRegex(name)}`) });
+    }
+
+    const find = (query, limit) => User.find(query)
+      .sort({ lookupCount: -1 })
+      .limit(limit)
+      .select('puuid gameName tagLine gameNameKey tagLineKey riotIdKey region platformRegion lookupCount lastLookedUpAt lastUpdated')
+      .lean();
+
+    const direct = await find({ $or: clauses }, CANDIDATE_LIMIT);
+    if (!name || name.length < 3 || direct.length >= CANDIDATE_LIMIT) return direct;
+
+    const fuzzy = await find({
+      _id: { $nin: direct.map(user => user._id) },
+      gameNameKey: new RegExp(`^${escapeRegex(name.slice(0, 2))}`)
+    }, CANDIDATE_LIMIT - direct.length);
+    return [...direct, ...fuzzy];
+  }
+
+  score(user, { name, tag }, maxLookups, now = Date.now()) {
+    // "#tag" searches compare tags only; "name" and "name#tag" compare from the start of the name
+    let target = name;
+    let key = user.gameNameKey;
+    if (tag !== null) {
+      target = name ? `${name}#${tag}` : tag;
+      key = name ? user.riotIdKey : user.tagLineKey;
+    }
+
+    let matchType = 'fuzzy';
+    if (key === target) {
+      matchType = 'exact';
+    } else if (key.startsWith(target) || (tag === null && user.tagLineKey.startsWith(name))) {
+      matchType = 'prefix';
+    }
+
+    // Compare against the same-length prefix so long names aren't punished for a short query
+    const textScore = Math.max(similarity(target, key), similarity(target, key.slice(0, target.length)) * 0.9);
+    if (matchType === 'fuzzy' && textScore < MIN_SIMILARITY) return null;
+
+    const popularity = maxLookups > 0 ? Math.log1p(user.lookupCount || 0) / Math.log1p(maxLookups) : 0;
+    const lastSeen = new Date(user.lastLookedUpAt || user.lastUpdated || 0).getTime();
+    const recency = Math.pow(0.5, Math.max(0, now - lastSeen) / RECENCY_HALF_LIFE_MS);
+    const matchBonus = { exact: 1, prefix: 0.5, fuzzy: 0 }[matchType];
+
+    return {
+      matchType,
+      score: Math.round((0.5 * textScore + 0.25 * matchBonus + 0.15 * popularity + 0.1 * recency) * 1000) / 1000
+    };
+  }
+
+  async search(query, { limit = 10 } = {}) {
+    const parsed = parseQuery(query);
+    if (!parsed.name && !parsed.tag) return [];
+
+    const users = await this.candidates(parsed);
+    const maxLookups = users.reduce((max, user) => Math.max(max, user.lookupCount || 0), 0);
+
+    const results = users
+      .filter(user => user.gameNameKey && user.tagLineKey)
+      .map(user => {
+        const ranked = this.score(user, parsed, maxLookups);
+        return ranked && {
+          puuid: user.puuid,
+          gameName: user.gameName,
+          tagLine: user.tagLine,
+          region: user.region,
+          platformRegion: user.platformRegion,
+          lookupCount: user.lookupCount || 0,
+          source: 'local',
+          ...ranked
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    // A complete Riot ID we haven't stored yet may still exist
+    const exactRiotId = parsed.name && parsed.tag;
+    if (exactRiotId && !results.some(result => result.matchType === 'exact')) {
+      const live = await this.lookupRiotId(query);
+      if (live) results.unshift(live);
+    }
+
+    return results.slice(0, limit);
+  }
+
+  async lookupRiotId(query) {
+    const hash = query.lastIndexOf('#');
+    try {
+      const account = await this.riotAPI.getAccountByRiotId(query.slice(0, hash).trim(), query.slice(hash + 1).trim());
+      return {
+        puuid: account.puuid,
+        gameName: account.gameName,
+        tagLine: account.tagLine,
+        region: null,
+        platformRegion: null,
+        lookupCount: 0,
+        source: 'riot',
+        matchType: 'exact',
+        score: 1
+      };
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Live Riot ID lookup failed:', error.message);
+      }
+      return null;
+    }
+  }
+
+  // Users stored before search keys existed; saving them runs the key hook
+  async backfillKeys() {
+    const users = await User.find({ riotIdKey: { $exists: false } }).limit(5000);
+    for (const user of users) {
+      await user.save();
+    }
+    return users.length;
+  }
+}
+
+SearchService.parseQuery = parseQuery;
+SearchService.similarity = similarity;
+
+module.exports = SearchService;
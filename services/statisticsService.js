@@ -0,0 +1,491 @@
+const { Match, Statistics } = require('../models');
+const { summarizeWeapon, WEAPON_FIELDS } = require('./roundAnalytics');
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : numerator;
+}
+
+function percentage(part, total) {
+  return total > 0 ? round((part / total) * 100, 1) : 0;
+}
+
+function average(total, count) {
+  return count > 0 ? round(total / count, 1) : 0;
+}
+
+// Sums shared by the lifetime totals and the per-agent/per-map groups
+const SUM_FIELDS = {
+  matches: { $sum: 1 },
+  wins: { $sum: { $cond: ['$won', 1, 0] } },
+  draws: { $sum: { $cond: ['$draw', 1, 0] } },
+  kills: { $sum: '$kills' },
+  deaths: { $sum: '$deaths' },
+  assists: { $sum: '$assists' },
+  score: { $sum: '$score' },
+  roundsWon: { $sum: '$roundsWon' },
+  roundsLost: { $sum: '$roundsLost' },
+  headshots: { $sum: '$headshots' },
+  bodyshots: { $sum: '$bodyshots' },
+  legshots: { $sum: '$legshots' }
+};
+
+// Round analytics totals: Statistics field name -> Match row field name
+const ROUND_FIELDS = {
+  totalDamage: 'damage',
+  analyzedRounds: 'analyzedRounds',
+  firstBloods: 'firstBloods',
+  firstDeaths: 'firstDeaths',
+  kastRounds: 'kastRounds',
+  clutchAttempts: 'clutchAttempts',
+  clutchesWon: 'clutchesWon',
+  plants: 'plants',
+  defuses: 'defuses',
+  multiKills: 'multiKills',
+  aces: 'aces',
+  attackRoundsPlayed: 'attackRoundsPlayed',
+  attackRoundsWon: 'attackRoundsWon',
+  defenseRoundsPlayed: 'defenseRoundsPlayed',
+  defenseRoundsWon: 'defenseRoundsWon'
+};
+
+const ROUND_SUMS = Object.keys(ROUND_FIELDS).reduce((sums, field) => {
+  sums[field] = { $sum: `$${ROUND_FIELDS[field]}` };
+  return sums;
+}, {});
+
+// Mongo map keys can't contain dots or start with $
+function statKey(value) {
+  return String(value).replace(/\./g, '_').replace(/^\$/, '_');
+}
+
+// Derived fields for the player as a whole, from a document using the schema's field names
+function deriveTotals(stats) {
+  const totalShots = stats.totalHeadshots + stats.totalBodyshots + stats.totalLegshots;
+  return {
+    kd: round(ratio(stats.totalKills, stats.totalDeaths), 2),
+    winRate: percentage(stats.wins, stats.totalMatches),
+    headshotPercentage: percentage(stats.totalHeadshots, totalShots),
+    averageKills: average(stats.totalKills, stats.totalMatches),
+    averageDeaths: average(stats.totalDeaths, stats.totalMatches),
+    averageAssists: average(stats.totalAssists, stats.totalMatches),
+    averageScore: Math.round(stats.totalMatches > 0 ? stats.totalScore / stats.totalMatches : 0),
+    acs: average(stats.totalScore, stats.totalRounds),
+    adr: average(stats.totalDamage || 0, stats.totalRounds),
+    kast: percentage(stats.kastRounds || 0, stats.analyzedRounds || 0),
+    attackWinRate: percentage(stats.attackRoundsWon || 0, stats.attackRoundsPlayed || 0),
+    defenseWinRate: percentage(stats.defenseRoundsWon || 0, stats.defenseRoundsPlayed || 0)
+  };
+}
+
+function deriveGroup(group) {
+  return {
+    kd: round(ratio(group.kills, group.deaths), 2),
+    winRate: percentage(group.wins, group.matches)
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the row's day, ISO week (Monday) or its act
+function bucketOf(row, bucket) {
+  if (bucket === 'act') return row.seasonId || 'unknown';
+  const day = new Date(row.gameStartTime);
+  day.setUTCHours(0, 0, 0, 0);
+  if (bucket === 'week') day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString();
+}
+
+function emptySums() {
+  return { matches: 0, wins: 0, draws: 0, kills: 0, deaths: 0, assists: 0, score: 0, rounds: 0, headshots: 0, bodyshots: 0, legshots: 0 };
+}
+
+function addRow(sums, row) {
+  sums.matches++;
+  sums.wins += row.won ? 1 : 0;
+  sums.draws += row.draw ? 1 : 0;
+  sums.kills += row.kills || 0;
+  sums.deaths += row.deaths || 0;
+  sums.assists += row.assists || 0;
+  sums.score += row.score || 0;
+  sums.rounds += (row.roundsWon || 0) + (row.roundsLost || 0);
+  sums.headshots += row.headshots || 0;
+  sums.bodyshots += row.bodyshots || 0;
+  sums.legshots += row.legshots || 0;
+  return sums;
+}
+
+// SUM_FIELDS aggregation totals as trend sums
+function sumsFromTotals({ _id, roundsWon = 0, roundsLost = 0, ...totals }) {
+  return { ...emptySums(), ...totals, rounds: roundsWon + roundsLost };
+}
+
+function addSums(into, sums) {
+  Object.keys(into).forEach(field => {
+    into[field] += sums[field];
+  });
+  return into;
+}
+
+// The charted metrics for a set of games
+function trendMetrics(sums) {
+  return {
+    kd: round(ratio(sums.kills, sums.deaths), 2),
+    winRate: percentage(sums.wins, sums.matches),
+    headshotPercentage: percentage(sums.headshots, sums.headshots + sums.bodyshots + sums.legshots),
+    acs: average(sums.score, sums.rounds),
+    averageScore: Math.round(sums.matches > 0 ? sums.score / sums.matches : 0)
+  };
+}
+
+// Longest win and loss runs plus the current one; draws end a run
+function findStreaks(rows) {
+  const streaks = { longestWin: null, longestLoss: null, current: null };
+  let run = null;
+
+  rows.forEach(row => {
+    const type = row.won ? 'win' : row.draw ? null : 'loss';
+    if (!type) {
+      run = null;
+      return;
+    }
+    if (run?.type === type) {
+      run.length++;
+      run.to = row.gameStartTime;
+    } else {
+      run = { type, length: 1, from: row.gameStartTime, to: row.gameStartTime };
+    }
+
+    const key = type === 'win' ? 'longestWin' : 'longestLoss';
+    if (!streaks[key] || run.length > streaks[key].length) {
+      streaks[key] = { length: run.length, from: run.from, to: run.to };
+    }
+  });
+
+  streaks.current = run ? { type: run.type, length: run.length, since: run.from } : null;
+  return streaks;
+}
+
+class StatisticsService {
+  // Apply newly ingested Match rows to their players' lifetime Statistics
+  async applyRows(rows) {
+    for (const row of rows) {
+      await this.applyRow(row);
+    }
+  }
+
+  async applyRow(row) {
+    const agentKey = statKey(row.agent || 'unknown');
+    const mapKey = statKey(row.map || 'unknown');
+    const agentPath = `agentStats.${agentKey}`;
+    const mapPath = `mapStats.${mapKey}`;
+    const won = row.won ? 1 : 0;
+    const roundTotals = {};
+    Object.keys(ROUND_FIELDS).forEach(field => {
+      roundTotals[field] = row[ROUND_FIELDS[field]] || 0;
+    });
+
+    // Only sums are stored incrementally; ratios are derived when the document is read (see
+    // withDerived), so concurrent rows can't leave them computed from a stale total
+    await Statistics.updateOne(
+      { puuid: row.puuid },
+      {
+        $set: { lastCalculated: new Date() },
+        $inc: {
+          totalMatches: 1,
+          wins: won,
+          draws: row.draw ? 1 : 0,
+          losses: !row.won && !row.draw ? 1 : 0,
+          totalKills: row.kills,
+          totalDeaths: row.deaths,
+          totalAssists: row.assists,
+          totalScore: row.score,
+          totalRounds: row.roundsWon + row.roundsLost,
+          roundsWon: row.roundsWon,
+          roundsLost: row.roundsLost,
+          totalHeadshots: row.headshots,
+          totalBodyshots: row.bodyshots,
+          totalLegshots: row.legshots,
+          ...roundTotals,
+          [`${agentPath}.matches`]: 1,
+          [`${agentPath}.wins`]: won,
+          [`${agentPath}.kills`]: row.kills,
+          [`${agentPath}.deaths`]: row.deaths,
+          [`${agentPath}.assists`]: row.assists,
+          [`${mapPath}.matches`]: 1,
+          [`${mapPath}.wins`]: won,
+          [`${mapPath}.kills`]: row.kills,
+          [`${mapPath}.deaths`]: row.deaths,
+          [`${mapPath}.roundsWon`]: row.roundsWon,
+          [`${mapPath}.roundsLost`]: row.roundsLost
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  // A stored Statistics document with its ratios (K/D, win rate, HS%, ACS, ...) computed from
+  // its sums, for the player and per agent and map
+  withDerived(stats) {
+    const deriveGroups = groups => Object.keys(groups || {}).reduce((derived, key) => {
+      derived[key] = { ...groups[key], ...deriveGroup(groups[key]) };
+      return derived;
+    }, {});
+
+    return {
+      ...stats,
+      ...deriveTotals(stats),
+      agentStats: deriveGroups(stats.agentStats),
+      mapStats: deriveGroups(stats.mapStats)
+    };
+  }
+
+  // Aggregate statistics over a filtered window of a player's stored Match rows
+  async calculate(puuid, { last, days, seasonId, queue } = {}) {
+    const match = { puuid };
+    if (days) match.gameStartTime = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    if (seasonId) match.seasonId = seasonId;
+    if (queue) match.queueId = queue;
+
+    const window = [{ $match: match }];
+    if (last) {
+      window.push({ $sort: { gameStartTime: -1 } }, { $limit: last });
+    }
+
+    const [totals] = await Match.aggregate([...window, { $group: { _id: null, ...SUM_FIELDS, ...ROUND_SUMS } }]);
+    const agents = await Match.aggregate([...window, { $group: { _id: { $ifNull: ['$agent', 'unknown'] }, ...SUM_FIELDS } }]);
+    const maps = await Match.aggregate([...window, { $group: { _id: { $ifNull: ['$map', 'unknown'] }, ...SUM_FIELDS } }]);
+
+    return this.buildStatistics(totals || this.emptyTotals(), agents, maps);
+  }
+
+  // Recalculate a player's lifetime Statistics document from all their stored Match rows
+  async recalculate(puuid) {
+    const statistics = await this.calculate(puuid);
+
+    await Statistics.findOneAndUpdate(
+      { puuid },
+      { $set: { puuid, ...statistics, lastCalculated: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    return statistics;
+  }
+
+  // Lifetime statistics come from the incrementally maintained document, windows are computed
+  async getStatistics(puuid, window = {}) {
+    const windowed = window.last || window.days || window.seasonId || window.queue;
+    if (windowed) {
+      return await this.calculate(puuid, window);
+    }
+
+    const [stats, storedMatches] = await Promise.all([
+      Statistics.findOne({ puuid }).lean(),
+      Match.countDocuments({ puuid })
+    ]);
+
+    // Rows stored before incremental updates existed (or a missed update) get rebuilt once
+    if (!stats || stats.totalMatches !== storedMatches) {
+      return await this.recalculate(puuid);
+    }
+
+    const { _id, __v, ...statistics } = stats;
+    return this.withDerived(statistics);
+  }
+
+  // Time-bucketed K/D, win rate, HS%, ACS and average score from stored matches, with trailing
+  // averages over `rolling` buckets, win/loss streaks, and the last `formGames` games' form
+  // against the player's baseline. days and queue only narrow the series and streaks: form and
+  // baseline come from every stored match, so a short window can't make its own games par
+  async getTrends(puuid, { bucket = 'week', days, queue, rolling = 3, formGames = 10 } = {}) {
+    const query = { puuid };
+    if (days) query.gameStartTime = { $gte: new Date(Date.now() - days * DAY_MS) };
+    if (queue) query.queueId = queue;
+
+    const select = 'gameStartTime seasonId won draw kills deaths assists score roundsWon roundsLost headshots bodyshots legshots';
+    const [rows, [lifetime], latest] = await Promise.all([
+      Match.find(query).sort({ gameStartTime: 1 }).select(select).lean(),
+      Match.aggregate([{ $match: { puuid } }, { $group: { _id: null, ...SUM_FIELDS } }]),
+      Match.find({ puuid }).sort({ gameStartTime: -1 }).limit(formGames).select(select).lean()
+    ]);
+
+    return this.buildTrends(rows, { bucket, rolling, formGames }, {
+      sums: lifetime ? sumsFromTotals(lifetime) : emptySums(),
+      recent: latest.reverse()
+    });
+  }
+
+  // Per-weapon kills, HS%, damage per round and efficiency from the weapons on stored Match
+  // rows, with each weapon's share of the player's kills and of the rounds they played
+  async getWeaponStats(puuid, { days, seasonId, queue } = {}) {
+    const query = { puuid };
+    if (days) query.gameStartTime = { $gte: new Date(Date.now() - days * DAY_MS) };
+    if (seasonId) query.seasonId = seasonId;
+    if (queue) query.queueId = queue;
+
+    const groups = await Match.aggregate([
+      { $match: query },
+      { $unwind: '$weapons' },
+      {
+        $group: WEAPON_FIELDS.reduce((group, field) => {
+          group[field] = { $sum: `$weapons.${field}` };
+          return group;
+        }, { _id: '$weapons.weaponId' })
+      }
+    ]);
+
+    const totalKills = groups.reduce((sum, group) => sum + group.kills, 0);
+    const totalRounds = groups.reduce((sum, group) => sum + group.rounds, 0);
+    return {
+      totalKills,
+      totalRounds,
+      weapons: groups
+        .filter(group => group._id)
+        .map(({ _id, ...group }) => ({
+          ...summarizeWeapon({ weaponId: _id, ...group }),
+          killShare: percentage(group.kills, totalKills),
+          roundShare: percentage(group.rounds, totalRounds)
+        }))
+        .sort((a, b) => b.kills - a.kills || b.rounds - a.rounds)
+    };
+  }
+
+  // rows must be oldest first. lifetime ({ sums, recent }, recent oldest first) is the player's
+  // unfiltered history that form is judged against; without it rows stand in for it
+  buildTrends(rows, { bucket = 'week', rolling = 3, formGames = 10 } = {}, lifetime = null) {
+    const buckets = new Map();
+    rows.forEach(row => {
+      const key = bucketOf(row, bucket);
+      if (!buckets.has(key)) {
+        buckets.set(key, { key, start: row.gameStartTime, end: row.gameStartTime, sums: emptySums() });
+      }
+      const entry = buckets.get(key);
+      entry.end = row.gameStartTime;
+      addRow(entry.sums, row);
+    });
+
+    const ordered = Array.from(buckets.values());
+    const series = ordered.map((entry, index) => {
+      const trailing = ordered.slice(Math.max(0, index - rolling + 1), index + 1)
+        .reduce((sums, previous) => addSums(sums, previous.sums), emptySums());
+
+      return {
+        ...(bucket === 'act' ? { actId: entry.key } : { period: entry.key }),
+        firstGameAt: entry.start,
+        lastGameAt: entry.end,
+        matches: entry.sums.matches,
+        wins: entry.sums.wins,
+        losses: entry.sums.matches - entry.sums.wins - entry.sums.draws,
+        draws: entry.sums.draws,
+        ...trendMetrics(entry.sums),
+        rolling: {
+          buckets: index + 1 - Math.max(0, index - rolling + 1),
+          ...trendMetrics(trailing)
+        }
+      };
+    });
+
+    const baselineSums = lifetime ? lifetime.sums : rows.reduce(addRow, emptySums());
+    const recent = (lifetime ? lifetime.recent : rows).slice(-formGames);
+    let form = null;
+    // A handful of games says little about form
+    if (recent.length >= Math.min(formGames, 5)) {
+      const recentMetrics = trendMetrics(recent.reduce(addRow, emptySums()));
+      const baseline = trendMetrics(baselineSums);
+      const relative = (value, base) => (base > 0 ? value / base : 1);
+      const index = round((relative(recentMetrics.kd, baseline.kd) + relative(recentMetrics.acs, baseline.acs)) / 2, 2);
+
+      form = {
+        games: recent.length,
+        recent: recentMetrics,
+        baseline,
+        change: Object.keys(recentMetrics).reduce((change, metric) => {
+          change[metric] = round(recentMetrics[metric] - baseline[metric], 2);
+          return change;
+        }, {}),
+        // Recent K/D and ACS relative to the baseline, averaged: 1 is par
+        index,
+        rating: index >= 1.1 ? 'hot' : index <= 0.9 ? 'cold' : 'steady'
+      };
+    }
+
+    return {
+      bucket,
+      rollingBuckets: rolling,
+      totalMatches: rows.length,
+      baseline: trendMetrics(baselineSums),
+      series,
+      streaks: findStreaks(rows),
+      form
+    };
+  }
+
+  emptyTotals() {
+    return [...Object.keys(SUM_FIELDS), ...Object.keys(ROUND_SUMS)].reduce((totals, field) => {
+      totals[field] = 0;
+      return totals;
+    }, {});
+  }
+
+  // Map aggregated sums onto the Statistics schema field names and types
+  buildStatistics(totals, agents = [], maps = []) {
+    const agentStats = {};
+    agents.forEach(agent => {
+      agentStats[statKey(agent._id)] = {
+        matches: agent.matches,
+        wins: agent.wins,
+        kills: agent.kills,
+        deaths: agent.deaths,
+        assists: agent.assists,
+        ...deriveGroup(agent)
+      };
+    });
+
+    const mapStats = {};
+    maps.forEach(map => {
+      mapStats[statKey(map._id)] = {
+        matches: map.matches,
+        wins: map.wins,
+        kills: map.kills,
+        deaths: map.deaths,
+        roundsWon: map.roundsWon,
+        roundsLost: map.roundsLost,
+        ...deriveGroup(map)
+      };
+    });
+
+    const statistics = {
+      totalMatches: totals.matches,
+      wins: totals.wins,
+      losses: totals.matches - totals.wins - totals.draws,
+      draws: totals.draws,
+      totalKills: totals.kills,
+      totalDeaths: totals.deaths,
+      totalAssists: totals.assists,
+      totalScore: totals.score,
+      roundsWon: totals.roundsWon,
+      roundsLost: totals.roundsLost,
+      totalRounds: totals.roundsWon + totals.roundsLost,
+      totalHeadshots: totals.headshots,
+      totalBodyshots: totals.bodyshots,
+      totalLegshots: totals.legshots,
+      ...Object.keys(ROUND_FIELDS).reduce((round, field) => {
+        round[field] = totals[field] || 0;
+        return round;
+      }, {}),
+      agentStats,
+      mapStats
+    };
+
+    return {
+      ...statistics,
+      ...deriveTotals(statistics)
+    };
+  }
+}
+
+module.exports = StatisticsService;
@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { attachLiveSocket } = require('../routes/liveSocket');
+const { liveUpdates } = require('../services');
+
+const server = http.createServer();
+const wss = attachLiveSocket(server);
+
+after(async () => {
+  wss.close();
+  server.close();
+});
+
+async function open() {
+  if (!server.listening) {
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+  }
+  const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/live/ws`);
+  const [data] = await once(socket, 'message');
+  assert.equal(JSON.parse(data.toString()).type, 'ready');
+  return socket;
+}
+
+test('an oversized frame closes that connection only', async () => {
+  const socket = await open();
+  assert.equal(liveUpdates.connections.size, 1);
+
+  socket.send(JSON.stringify({ action: 'subscribe', puuids: ['x'.repeat(32 * 1024)] }));
+  const [code] = await once(socket, 'close');
+  // 1009: message too big
+  assert.equal(code, 1009);
+  assert.equal(liveUpdates.connections.size, 0);
+
+  // The server is still up for everyone else
+  const next = await open();
+  next.send(JSON.stringify({ action: 'subscribe', puuids: [] }));
+  const [data] = await once(next, 'message');
+  assert.deepEqual(JSON.parse(data.toString()), { type: 'subscriptions', subscriptions: [] });
+  next.close();
+  await once(next, 'close');
+});
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectMatchShape,
+  normalizeMatch,
+  normalizeOfficialMatch,
+  normalizeHenrikMatch
+} = require('../services/matchNormalizer');
+const RiotAPIService = require('../services/riotAPI');
+const officialMatch = require('./fixtures/official-match.json');
+const henrikMatch = require('./fixtures/henrik-match.json');
+
+// Trimmed payloads: the official one is match-v1 with two players a side and its first two
+// rounds; the Henrik one is a v3 match with one player a side and its first round
+const GHOST = '1baa85b4-4c70-1284-64bb-6481dfc3bb4e';
+const VANDAL = '9c82e19d-4575-0200-1a81-3eacf00cf872';
+const JETT = 'add6443a-41bd-e414-f6ad-e58d267f4e95';
+
+test('detectMatchShape tells the payloads apart', () => {
+  assert.equal(detectMatchShape(officialMatch), 'official');
+  assert.equal(detectMatchShape(henrikMatch), 'henrik');
+  assert.equal(detectMatchShape(normalizeMatch(officialMatch)), 'normalized');
+  assert.equal(detectMatchShape({ matchInfo: {} }), null);
+  assert.equal(detectMatchShape(null), null);
+  assert.throws(() => normalizeMatch({ data: [] }), /Unrecognized match payload shape/);
+});
+
+test('normalizeOfficialMatch maps match-v1 into the canonical model', () => {
+  const match = normalizeOfficialMatch(officialMatch);
+
+  assert.equal(match.source, 'official');
+  assert.equal(match.matchId, '5f2a7c1e-9d3b-4a61-8e0f-2c4b6d8a1f37');
+  assert.equal(match.mapName, 'Ascent');
+  assert.equal(match.queueId, 'competitive');
+  assert.equal(match.mode, 'Competitive');
+  assert.equal(match.isRanked, true);
+  assert.equal(match.gameStartTime.toISOString(), '2024-05-01T18:00:00.000Z');
+  assert.deepEqual(match.teams, [
+    { teamId: 'Red', won: true, roundsWon: 13, roundsLost: 9, roundsPlayed: 22 },
+    { teamId: 'Blue', won: false, roundsWon: 9, roundsLost: 13, roundsPlayed: 22 }
+  ]);
+
+  const player = match.players.find(p => p.puuid === 'player-a');
+  assert.equal(player.agentId, JETT);
+  assert.equal(player.agentName, null);
+  assert.deepEqual(player.stats, { score: 5800, kills: 20, deaths: 12, assists: 4, roundsPlayed: 22 });
+  // Shots only exist per round, so they're summed from roundResults
+  assert.deepEqual(player.damage, { damage: 340, headshots: 2, bodyshots: 3, legshots: 0 });
+
+  assert.equal(match.rounds.length, 2);
+  const [firstRound] = match.rounds;
+  assert.equal(firstRound.resultCode, 'Elimination');
+  assert.equal(firstRound.planter, 'player-b');
+  assert.equal(firstRound.plantSite, 'A');
+  const [kill] = firstRound.playerStats.find(ps => ps.puuid === 'player-a').kills;
+  assert.deepEqual(kill, {
+    killer: 'player-a',
+    victim: 'player-c',
+    assistants: [],
+    roundTime: 30000,
+    gameTime: 95000,
+    weaponId: GHOST,
+    damageType: 'Weapon'
+  });
+});
+
+test('normalizeHenrikMatch maps the unofficial payload into the same model', () => {
+  const match = normalizeHenrikMatch(henrikMatch);
+
+  assert.equal(match.source, 'henrik');
+  assert.equal(match.matchId, 'b81c4e02-6a57-4f1d-93e8-0d7a2f5c9e14');
+  assert.equal(match.mapName, 'Bind');
+  assert.equal(match.queueId, 'competitive');
+  assert.equal(match.region, 'eu');
+  assert.equal(match.gameStartTime.toISOString(), '2024-05-02T18:00:00.000Z');
+  // game_length in seconds
+  assert.equal(match.gameLengthMillis, 1843000);
+  assert.deepEqual(match.teams, [
+    { teamId: 'Red', won: false, roundsWon: 6, roundsLost: 13, roundsPlayed: 19 },
+    { teamId: 'Blue', won: true, roundsWon: 13, roundsLost: 6, roundsPlayed: 19 }
+  ]);
+
+  const player = match.players.find(p => p.puuid === 'player-a');
+  assert.equal(player.gameName, 'Ace');
+  assert.equal(player.agentName, 'Jett');
+  assert.equal(player.agentId, JETT);
+  assert.equal(player.stats.roundsPlayed, 19);
+  // Numeric damage_made with shot counts under stats
+  assert.deepEqual(player.damage, { damage: 2500, headshots: 9, bodyshots: 40, legshots: 1 });
+
+  const [round] = match.rounds;
+  assert.equal(round.roundNum, 0);
+  assert.equal(round.winningTeam, 'Blue');
+  assert.equal(round.planter, null);
+  const victim = round.playerStats.find(ps => ps.puuid === 'player-a');
+  assert.deepEqual(victim.economy, { loadoutValue: 800, weapon: GHOST, armor: '4dec83d5-4902-9ab3-bed6-a7a390761157', remaining: 0, spent: 800 });
+  const [kill] = round.playerStats.find(ps => ps.puuid === 'player-e').kills;
+  assert.equal(kill.victim, 'player-a');
+  assert.equal(kill.damageType, 'Weapon');
+});
+
+test('calculatePlayerStats combines official and Henrik matches', () => {
+  const stats = new RiotAPIService('test-key').calculatePlayerStats([officialMatch, henrikMatch], 'player-a');
+
+  assert.equal(stats.totalMatches, 2);
+  assert.equal(stats.wins, 1);
+  assert.equal(stats.losses, 1);
+  assert.equal(stats.draws, 0);
+  assert.equal(stats.totalKills, 32);
+  assert.equal(stats.totalDeaths, 27);
+  assert.equal(stats.kd, '1.19');
+  assert.equal(stats.winRate, '50.0');
+  assert.equal(stats.roundsWon, 19);
+  assert.equal(stats.roundsLost, 22);
+  // (2 + 9) headshots of 55 shots
+  assert.equal(stats.headshotPercentage, '20.0');
+
+  assert.equal(stats.maps.Ascent.wins, 1);
+  assert.equal(stats.maps.Bind.roundWinRate, '31.6');
+  // Official (ID only) and Henrik (ID and name) Jett games are one entry, named from Henrik
+  assert.deepEqual(Object.keys(stats.agents), [JETT]);
+  assert.equal(stats.agents[JETT].name, 'Jett');
+  assert.equal(stats.agents[JETT].matches, 2);
+  assert.equal(stats.agents[JETT].kd, '1.19');
+  assert.equal(stats.agents[JETT].winRate, '50.0');
+
+  assert.deepEqual(stats.weapons[GHOST], {
+    kills: 2,
+    rounds: 2,
+    damage: 366,
+    headshots: 2,
+    bodyshots: 4,
+    legshots: 0,
+    loadoutValue: 1700,
+    headshotPercentage: 33.3,
+    damagePerRound: 183,
+    efficiency: 215.3
+  });
+  assert.equal(stats.weapons[VANDAL].rounds, 1);
+
+  assert.deepEqual(stats.recentMatches.map(match => [match.map, match.won]), [['Ascent', true], ['Bind', false]]);
+});
+
+test('calculatePlayerStats counts a match no team won as a draw', () => {
+  const drawn = JSON.parse(JSON.stringify(officialMatch));
+  drawn.teams.forEach(team => {
+    team.won = false;
+    team.roundsWon = 12;
+    team.roundsPlayed = 24;
+  });
+
+  const stats = new RiotAPIService('test-key').calculatePlayerStats([drawn], 'player-a');
+  assert.equal(stats.draws, 1);
+  assert.equal(stats.wins, 0);
+  assert.equal(stats.losses, 0);
+});
@@ -0,0 +1,200 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { WebhookTarget, WebhookDelivery } = require('../models');
+const NotificationService = require('../services/notificationService');
+
+const payload = {
+  player: { puuid: 'player-1', gameName: 'Tester', tagLine: 'EUW' },
+  match: {
+    matchId: 'match-1',
+    map: 'Ascent',
+    agent: 'Jett',
+    mode: 'Competitive',
+    date: '2024-05-01T18:00:00.000Z',
+    kills: 21,
+    deaths: 14,
+    assists: 5,
+    score: 5400,
+    won: true,
+    roundsWon: 13,
+    roundsLost: 9,
+    result: 'Victory'
+  }
+};
+
+// Local stand-in receiver: answers each request with the next queued response (default 204)
+let server;
+let url;
+let received;
+let responses;
+
+beforeEach(async () => {
+  received = [];
+  responses = [];
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      const { status = 204, headers = {}, body: reply = '' } = responses.shift() || {};
+      res.writeHead(status, headers);
+      res.end(reply);
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  server.close();
+  await once(server, 'close');
+});
+
+function createService(options = {}) {
+  return new NotificationService({}, {
+    allowHttp: true,
+    allowPrivateTargets: true,
+    retryBaseMs: 1000,
+    maxAttempts: 3,
+    ...options
+  });
+}
+
+function target(overrides = {}) {
+  return {
+    _id: 'target-1',
+    kind: 'http',
+    url,
+    secret: 'shh',
+    enabled: true,
+    rateLimitPerMinute: 10,
+    ...overrides
+  };
+}
+
+function delivery(overrides = {}) {
+  return {
+    _id: 'delivery-1',
+    targetId: 'target-1',
+    event: 'match',
+    createdAt: new Date('2024-05-01T18:40:00.000Z'),
+    attempts: 0,
+    payload,
+    ...overrides
+  };
+}
+
+// Stub the models: the target is served from memory, delivery updates are recorded
+function stubModels(webhookTarget) {
+  mock.method(WebhookTarget, 'findById', () => ({ lean: async () => webhookTarget }));
+  mock.method(WebhookTarget, 'updateOne', async () => ({}));
+  const updates = [];
+  mock.method(WebhookDelivery, 'updateOne', async (filter, update) => {
+    updates.push(update.$set);
+    return {};
+  });
+  return updates;
+}
+
+test('Discord targets get an embed describing the match', async () => {
+  const updates = stubModels(target({ kind: 'discord', secret: undefined }));
+  const outcome = await createService().attempt(delivery());
+
+  assert.equal(outcome, 'delivered');
+  assert.equal(received.length, 1);
+  const body = JSON.parse(received[0].body);
+  assert.equal(body.username, 'Valorant Tracker');
+  assert.equal(body.embeds.length, 1);
+  assert.equal(body.embeds[0].title, 'Tester#EUW: Victory on Ascent');
+  assert.deepEqual(body.embeds[0].fields.find(field => field.name === 'K / D / A'), {
+    name: 'K / D / A',
+    value: '21 / 14 / 5',
+    inline: true
+  });
+  assert.equal(received[0].headers['x-webhook-signature'], undefined);
+  assert.equal(updates[0].status, 'delivered');
+});
+
+test('HTTP targets get the JSON payload signed with the target secret', async () => {
+  stubModels(target());
+  const outcome = await createService().attempt(delivery());
+
+  assert.equal(outcome, 'delivered');
+  const { headers, body } = received[0];
+  const expected = crypto.createHmac('sha256', 'shh').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-id'], 'delivery-1');
+  assert.equal(headers['x-webhook-event'], 'match');
+  assert.deepEqual(JSON.parse(body).match, payload.match);
+});
+
+test('5xx responses are retried with exponential backoff', async () => {
+  const updates = stubModels(target());
+  responses.push({ status: 503 });
+
+  const before = Date.now();
+  const outcome = await createService().attempt(delivery({ attempts: 1 }));
+
+  assert.equal(outcome, 'retrying');
+  assert.equal(updates[0].status, 'pending');
+  assert.equal(updates[0].attempts, 2);
+  assert.equal(updates[0].lastStatus, 503);
+  // Second attempt: base * 2
+  const delay = updates[0].nextAttemptAt.getTime() - before;
+  assert.ok(delay >= 2000 && delay < 3000, `expected a 2s backoff, got ${delay}ms`);
+});
+
+test('429 responses wait at least as long as Retry-After', async () => {
+  const updates = stubModels(target());
+  responses.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+  const before = Date.now();
+  const outcome = await createService().attempt(delivery());
+
+  assert.equal(outcome, 'retrying');
+  assert.equal(updates[0].lastStatus, 429);
+  assert.ok(updates[0].nextAttemptAt.getTime() - before >= 30 * 1000);
+});
+
+test('deliveries are dead-lettered after the last attempt, or at once on a 4xx', async () => {
+  const updates = stubModels(target());
+  responses.push({ status: 500 }, { status: 404 });
+  const service = createService();
+
+  assert.equal(await service.attempt(delivery({ attempts: 2 })), 'dead');
+  assert.equal(updates[0].status, 'dead');
+  assert.equal(updates[0].attempts, 3);
+
+  assert.equal(await service.attempt(delivery({ _id: 'delivery-2' })), 'dead');
+  assert.equal(updates[1].status, 'dead');
+  assert.equal(updates[1].lastError, 'HTTP 404');
+});
+
+test('deliveries over the per-minute rate limit are deferred without being sent', async () => {
+  const updates = stubModels(target({ rateLimitPerMinute: 2 }));
+  const service = createService();
+
+  assert.equal(await service.attempt(delivery({ _id: 'delivery-1' })), 'delivered');
+  assert.equal(await service.attempt(delivery({ _id: 'delivery-2' })), 'delivered');
+  const before = Date.now();
+  assert.equal(await service.attempt(delivery({ _id: 'delivery-3' })), 'deferred');
+
+  assert.equal(received.length, 2);
+  const deferredUntil = updates[2].nextAttemptAt.getTime();
+  assert.ok(deferredUntil > before && deferredUntil <= before + 60 * 1000);
+});
+
+test('internal targets are refused unless private targets are allowed', async () => {
+  const service = createService({ allowPrivateTargets: false });
+  assert.throws(() => service.assertUrl(url), { code: 'VALIDATION_FAILED' });
+  assert.throws(() => service.assertUrl('http://169.254.169.254/latest/meta-data'), { code: 'VALIDATION_FAILED' });
+  assert.throws(() => service.assertUrl('http://localhost:27017'), { code: 'VALIDATION_FAILED' });
+  assert.equal(service.assertUrl('https://example.com/hook'), 'https://example.com/hook');
+});